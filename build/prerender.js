@@ -0,0 +1,256 @@
+/**
+ * Prerender Plugin (Vite, build only)
+ *
+ * The site is one index.html whose terminal is filled in by JS, so link
+ * previews and crawlers see one title and an empty #terminal. This step
+ * bakes in what they can read:
+ *
+ * - index.html gets a text version of about, projects and contact
+ * - Every project gets its own page, projects/<name>/index.html, with
+ *   its title, description and image in the <title>, description,
+ *   Open Graph and Twitter tags, and its text version. Projects without
+ *   an image keep index.html's og:image (public/og-image.png).
+ *
+ * The text is the terminal's own output - the page commands
+ * (commands/portfolio.js) run on the content at build time and their
+ * lines become HTML with the same classes the Terminal uses. Visitors
+ * with JS get the terminal as usual (main.js drops the text version),
+ * and a project page opens straight into `projects <name>` (systems/Router.js).
+ *
+ * GitHub Pages serves projects/shaders/index.html at /projects/shaders/,
+ * so the pages need no server rewrites. Absolute URLs (og:url, og:image)
+ * start from the og:url in index.html.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { basename, dirname, join, posix } from 'node:path';
+import { parseFrontmatter } from '../src/content/frontmatter.js';
+import { VirtualFileSystem } from '../src/systems/VirtualFileSystem.js';
+import { CommandRegistry } from '../src/commands/CommandRegistry.js';
+import { registerPortfolioCommands } from '../src/commands/portfolio.js';
+import { parseAnsi } from '../src/utils/format.js';
+
+/**
+ * @param {Object} options
+ * @param {string} options.contentDir - Markdown content (see content/index.js)
+ */
+export function prerender({ contentDir = 'src/content/fs' } = {}) {
+  let config;
+
+  return {
+    name: 'prerender',
+    apply: 'build',
+    enforce: 'post',  // After Vite has written the built index.html
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async generateBundle(options, bundle) {
+      const index = bundle['index.html'];
+      const html = String(index.source);
+      const siteUrl = readMeta(html, 'property', 'og:url') ?? '/';
+      const siteTitle = html.match(/<title>([^<]*)<\/title>/)?.[1] ?? '';
+      const siteImage = readMeta(html, 'property', 'og:image');
+
+      const fs = new VirtualFileSystem(readContent(this, join(config.root, contentDir), config.base));
+      const registry = new CommandRegistry({ fs });
+      registerPortfolioCommands(registry);
+
+      // What a command prints -> HTML (same lines the terminal would type)
+      const output = async (line) => {
+        const [name, ...args] = line.split(' ');
+        const lines = await registry.get(name).run(args, registry.context);
+        return section(line, lines);
+      };
+
+      const projects = fs.list('~/projects')
+        .filter(node => node.type === 'file')
+        .map(node => ({ name: node.name.replace(/\.md$/, ''), meta: node.meta }));
+
+      const nav = navigation(config.base, projects);
+
+      index.source = withStaticText(
+        html,
+        siteTitle,
+        [await output('about'), await output('projects'), await output('contact'), nav].join('\n')
+      );
+
+      for (const { name, meta } of projects) {
+        const title = `${meta.title ?? name} | ${siteTitle}`;
+        const url = new URL(`projects/${name}/`, siteUrl).href;
+        const image = meta.image ? new URL(meta.image, siteUrl).href : siteImage;
+
+        let page = withMeta(html, { title, description: meta.description, url, image });
+        page = withStaticText(page, meta.title ?? name, [await output(`projects ${name}`), nav].join('\n'));
+
+        this.emitFile({ type: 'asset', fileName: `projects/${name}/index.html`, source: page });
+      }
+    },
+  };
+}
+
+/**
+ * Content files as content/index.js builds them, with images emitted
+ * as build assets and referenced by their built URL
+ * @param {Object} context - Rollup plugin context (emits the images)
+ * @returns {Object} { 'projects/shaders.md': { meta, body } }
+ */
+function readContent(context, dir, base) {
+  const files = {};
+
+  const resolveAsset = (path, ref) => {
+    if (/^([a-z]+:)?\/\//i.test(ref) || ref.startsWith('/')) return ref;
+    const file = join(dir, dirname(path), ref);
+    const id = context.emitFile({ type: 'asset', name: basename(file), source: readFileSync(file) });
+    return base + context.getFileName(id);
+  };
+
+  for (const path of readdirSync(dir, { recursive: true })) {
+    if (!path.endsWith('.md')) continue;
+
+    const relativePath = path.split(/[\\/]/).join(posix.sep);
+    const { meta, body } = parseFrontmatter(readFileSync(join(dir, path), 'utf8'));
+
+    if (meta.image) {
+      meta.image = resolveAsset(relativePath, meta.image);
+    }
+    files[relativePath] = {
+      meta,
+      body: body.replace(
+        /!\[([^\]]*)\]\(([^)\s]+)\)/g,
+        (match, alt, src) => `![${alt}](${resolveAsset(relativePath, src)})`
+      ),
+    };
+  }
+
+  return files;
+}
+
+// ============================================
+// HTML
+// ============================================
+
+/**
+ * One command and its output, as the terminal shows them
+ * @param {string} line - Command line
+ * @param {(string|Object)[]} lines - Command output (see Terminal.print)
+ */
+function section(line, lines) {
+  const html = lines.flatMap(item => {
+    if (typeof item === 'object') {
+      const img = `<img class="terminal-image" src="${escape(item.src)}" alt="${escape(item.alt)}" loading="lazy">`;
+      return [`<div class="terminal-line">${item.href ? anchor(item.href, img) : img}</div>`];
+    }
+    return String(item).split('\n').map(text => `<div class="terminal-line">${renderSegments(text)}</div>`);
+  });
+
+  return [
+    '<section>',
+    `<div class="terminal-line"><span class="prompt">&gt;</span> ${escape(line)}</div>`,
+    ...html,
+    '</section>',
+  ].join('\n');
+}
+
+/**
+ * Links to every page - what visitors without JS (and crawlers) follow
+ */
+function navigation(base, projects) {
+  const links = [
+    anchor(base, '~'),
+    ...projects.map(({ name }) => anchor(`${base}projects/${name}/`, escape(name))),
+  ];
+  return `<nav class="terminal-line" aria-label="Pages">${links.join('  ')}</nav>`;
+}
+
+/**
+ * parseAnsi() runs -> spans and links (as Terminal.createSegmentElement)
+ */
+function renderSegments(text) {
+  return parseAnsi(text).map(({ text: chunk, classes, href }) => {
+    const content = escape(chunk);
+    if (href) return anchor(href, content, classes);
+    return classes.length ? `<span class="${classes.join(' ')}">${content}</span>` : content;
+  }).join('');
+}
+
+function anchor(href, content, classes = []) {
+  // External links open in a new tab, like in the terminal
+  const external = /^https?:/.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+  return `<a class="${[...classes, 'terminal-link'].join(' ')}" href="${escape(href)}"${external}>${content}</a>`;
+}
+
+/**
+ * Puts the text version inside #terminal, under a heading for the page
+ */
+function withStaticText(html, heading, content) {
+  const text = [
+    '<div class="terminal-static">',
+    `<h1 class="visually-hidden">${escape(heading)}</h1>`,
+    content,
+    '</div>',
+  ].join('\n');
+  // Function replacements: content can contain $& and $1 (in the text
+  // or a title), which a replacement string would expand
+  return html.replace(
+    /(<main id="terminal"[^>]*>)(<\/main>)/,
+    (match, open, close) => `${open}\n${text}\n${close}`
+  );
+}
+
+/**
+ * Replaces the page's title, description, URL and image tags
+ */
+function withMeta(html, { title, description, url, image }) {
+  let page = html.replace(/<title>[^<]*<\/title>/, () => `<title>${escape(title)}</title>`);
+
+  const tags = [
+    ['property', 'og:type', 'article'],
+    ['property', 'og:title', title],
+    ['property', 'og:url', url],
+    ['name', 'twitter:title', title],
+  ];
+  if (description) {
+    tags.push(
+      ['name', 'description', description],
+      ['property', 'og:description', description],
+      ['name', 'twitter:description', description],
+    );
+  }
+  if (image) {
+    tags.push(
+      ['property', 'og:image', image],
+      ['name', 'twitter:image', image],
+      ['name', 'twitter:card', 'summary_large_image'],
+    );
+  }
+
+  for (const [attribute, key, value] of tags) {
+    page = setMeta(page, attribute, key, value);
+  }
+  return page.replace('</head>', () => `  <link rel="canonical" href="${escape(url)}" />\n  </head>`);
+}
+
+/**
+ * Sets a <meta>'s content, adding the tag if the page doesn't have it
+ */
+function setMeta(html, attribute, key, value) {
+  const tag = `<meta ${attribute}="${key}" content="${escape(value)}" />`;
+  const pattern = new RegExp(`<meta ${attribute}="${key}" content="[^"]*"\\s*/?>`);
+  return pattern.test(html)
+    ? html.replace(pattern, () => tag)
+    : html.replace('</head>', () => `  ${tag}\n  </head>`);
+}
+
+function readMeta(html, attribute, key) {
+  return html.match(new RegExp(`<meta ${attribute}="${key}" content="([^"]*)"`))?.[1] ?? null;
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
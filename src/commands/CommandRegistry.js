@@ -0,0 +1,145 @@
+/**
+ * Command Registry
+ *
+ * Maps command names to handlers and runs submitted terminal lines.
+ * Modules register their own commands, so adding portfolio content
+ * never requires touching main().
+ *
+ * Think of this like a dictionary of UnityEvents keyed by name -
+ * anyone can subscribe a handler, the terminal just invokes by name.
+ *
+ * A command is an object:
+ *   {
+ *     name: 'echo',
+ *     description: 'Print text back',    // shown by `help`
+ *     usage: 'echo <text>',              // optional
+ *     aliases: ['say'],                  // optional
+ *     hidden: false,                     // optional - omit from `help`
+ *     page: false,                       // optional - a page with its own URL
+ *                                        //   (#/name/args, see systems/Router.js)
+ *     run(args, context) { ... },        // may be async
+ *   }
+ *
+ * run() can return a string, an array of lines, or nothing (if it
+ * printed through context.terminal itself). Returned output is typed
+ * back with Terminal.print(), so it may use the helpers in
+ * utils/format.js (color, link, image, table...).
+ *
+ * For a mistake in what the visitor typed, throw a CommandError
+ * (utils/errors.js): its message is printed, but not logged as a bug.
+ */
+
+import { color } from '../utils/format.js';
+import { t } from '../i18n/index.js';
+import { CommandError } from '../utils/errors.js';
+
+export class CommandRegistry {
+  /**
+   * @param {Object} context - Shared objects handed to every command (terminal, env, ...)
+   */
+  constructor(context = {}) {
+    this.commands = new Map();   // name -> command
+    this.aliases = new Map();    // alias -> name
+    this.listeners = new Set();  // Called after each command that ran without error
+    this.context = { ...context, registry: this };
+  }
+
+  /**
+   * Calls listener(command, args) after every command that succeeded
+   * @returns {Function} Removes the listener
+   */
+  onExecute(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Registers a command (replaces any existing command with the same name)
+   * @param {Object} command - See module comment for shape
+   */
+  register(command) {
+    if (!command?.name || typeof command.run !== 'function') {
+      throw new Error('Command needs a name and a run() function');
+    }
+
+    const name = command.name.toLowerCase();
+    this.commands.set(name, command);
+
+    for (const alias of command.aliases ?? []) {
+      this.aliases.set(alias.toLowerCase(), name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Looks up a command by name or alias
+   * @returns {Object|undefined}
+   */
+  get(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) ?? this.commands.get(this.aliases.get(key));
+  }
+
+  /**
+   * Returns all visible commands, sorted by name (for `help`)
+   */
+  list() {
+    return [...this.commands.values()]
+      .filter(cmd => !cmd.hidden)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Parses and runs a submitted line, printing any output
+   * @param {string} line - Raw text the visitor typed
+   */
+  async execute(line) {
+    const [name, ...args] = parseCommandLine(line);
+    if (!name) return;
+
+    const { terminal } = this.context;
+    const command = this.get(name);
+
+    if (!command) {
+      await terminal.print(color(t('terminal.notFound', { name }), 'red'));
+      return;
+    }
+
+    try {
+      const output = await command.run(args, { ...this.context, line });
+      if (output !== undefined && output !== null) {
+        await terminal.print(output);
+      }
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        console.error(`Command "${name}" failed:`, error);
+      }
+      await terminal.print(color(`${name}: ${error.message}`, 'red'));
+      return;
+    }
+
+    for (const listener of this.listeners) {
+      listener(command, args);
+    }
+  }
+}
+
+/**
+ * Splits a line into words, keeping quoted strings together
+ *
+ * Example: echo "hello world" foo -> ['echo', 'hello world', 'foo']
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function parseCommandLine(line) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return tokens;
+}
@@ -0,0 +1,35 @@
+/**
+ * Accessibility Commands
+ *
+ * a11y - show or change accessibility mode (context.a11y)
+ */
+
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the a11y command
+ * @param {CommandRegistry} registry
+ */
+export function registerAccessibilityCommands(registry) {
+  registry.register({
+    name: 'a11y',
+    description: 'Accessibility mode: no flicker, instant text (on/off/auto)',
+    usage: 'a11y [on|off|auto]',
+    aliases: ['accessibility'],
+    run(args, { a11y }) {
+      const mode = args[0]?.toLowerCase();
+
+      if (mode) {
+        if (!['on', 'off', 'auto'].includes(mode)) {
+          throw new CommandError(t('a11y.invalid', { mode: args[0] }));
+        }
+        a11y.setPreference(mode);
+      }
+
+      const source = a11y.preference ?? a11y.sessionPreference;
+      const reason = t(source && source !== 'auto' ? 'a11y.reasonChoice' : 'a11y.reasonSystem');
+      return t(a11y.enabled ? 'a11y.on' : 'a11y.off', { reason });
+    },
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Tab Completion
+ *
+ * Completes the first word against command names and later words
+ * against paths in the virtual filesystem.
+ */
+
+/**
+ * Creates a completer for Terminal.setCompleter()
+ * @param {CommandRegistry} registry
+ * @param {VirtualFileSystem} fs
+ * @returns {(text: string) => { text: string, candidates: string[] }}
+ *   Takes the text left of the caret, returns the completed text and
+ *   the candidates to list when more than one thing matches.
+ */
+export function createCompleter(registry, fs) {
+  return (text) => {
+    const wordStart = text.lastIndexOf(' ') + 1;
+    const head = text.slice(0, wordStart);
+    const word = text.slice(wordStart);
+
+    // First word -> command name, anything after -> path
+    const isCommand = head.trim() === '';
+    const options = isCommand
+      ? completeCommand(registry, word)
+      : completePath(fs, word);
+
+    if (options.length === 0) {
+      return { text, candidates: [] };
+    }
+
+    if (options.length === 1) {
+      // Single match: finish it. Directories keep going, everything else gets a space
+      const [only] = options;
+      const suffix = only.value.endsWith('/') ? '' : ' ';
+      return { text: head + only.value + suffix, candidates: [] };
+    }
+
+    // Several matches: extend to their shared prefix and list them
+    const prefix = commonPrefix(options.map(o => o.value));
+    return {
+      text: head + (prefix.length > word.length ? prefix : word),
+      candidates: options.map(o => o.label),
+    };
+  };
+}
+
+/**
+ * Commands whose name starts with word
+ */
+function completeCommand(registry, word) {
+  return registry.list()
+    .filter(cmd => cmd.name.startsWith(word.toLowerCase()))
+    .map(cmd => ({ value: cmd.name, label: cmd.name }));
+}
+
+/**
+ * Filesystem entries matching word ("projects/sh" -> "projects/shaders.md")
+ */
+function completePath(fs, word) {
+  const slash = word.lastIndexOf('/');
+  const dirPart = word.slice(0, slash + 1);   // "projects/" (kept as typed)
+  const namePart = word.slice(slash + 1);     // "sh"
+
+  const dir = fs.resolve(dirPart || '.');
+  if (!dir || dir.type !== 'dir') return [];
+
+  return fs.list(fs.pathOf(dir))
+    .filter(node => node.name.startsWith(namePart))
+    .map(node => {
+      const name = node.type === 'dir' ? `${node.name}/` : node.name;
+      return { value: dirPart + name, label: name };
+    });
+}
+
+/**
+ * Longest string every value starts with
+ */
+function commonPrefix(values) {
+  let prefix = values[0];
+  for (const value of values) {
+    while (!value.startsWith(prefix)) {
+      prefix = prefix.slice(0, -1);
+    }
+  }
+  return prefix;
+}
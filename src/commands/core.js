@@ -0,0 +1,91 @@
+/**
+ * Core Commands
+ *
+ * Shell basics that every terminal needs: help, clear, whoami, echo, history.
+ */
+
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the core commands
+ * @param {CommandRegistry} registry
+ */
+export function registerCoreCommands(registry) {
+  registry.register({
+    name: 'help',
+    description: 'List available commands',
+    usage: 'help [command]',
+    aliases: ['?'],
+    run(args, { registry }) {
+      // help <command> - details for a single command
+      if (args[0]) {
+        const command = registry.get(args[0]);
+        if (!command) return t('help.noSuchCommand', { name: args[0] });
+        return [
+          `${command.name} - ${describe(command)}`,
+          t('help.usage', { usage: command.usage ?? command.name }),
+        ];
+      }
+
+      const commands = registry.list();
+      const width = Math.max(...commands.map(cmd => cmd.name.length));
+
+      return [
+        t('help.title'),
+        ...commands.map(cmd => `  ${cmd.name.padEnd(width)}  ${describe(cmd)}`),
+      ];
+    },
+  });
+
+  registry.register({
+    name: 'clear',
+    description: 'Clear the screen',
+    aliases: ['cls'],
+    run(args, { terminal }) {
+      terminal.clear();
+    },
+  });
+
+  registry.register({
+    name: 'whoami',
+    description: 'Print your user name',
+    run(args, { env }) {
+      return (env.username ?? 'neo').toLowerCase();
+    },
+  });
+
+  registry.register({
+    name: 'echo',
+    description: 'Print text back',
+    usage: 'echo <text>',
+    run(args) {
+      return args.join(' ');
+    },
+  });
+
+  registry.register({
+    name: 'history',
+    description: 'Show previous commands (-c to clear)',
+    usage: 'history [-c]',
+    run(args, { terminal }) {
+      const history = terminal.commandHistory;
+      if (!history) return undefined;
+
+      if (args[0] === '-c') {
+        history.clear();
+        return undefined;
+      }
+
+      const width = String(history.entries.length).length;
+      return history.entries.map((entry, i) => `${String(i + 1).padStart(width)}  ${entry}`);
+    },
+  });
+}
+
+/**
+ * A command's description in the current language (the catalogs can
+ * override the English one with 'command.<name>')
+ */
+function describe(command) {
+  return t(`command.${command.name}`, {}, command.description ?? '');
+}
@@ -0,0 +1,39 @@
+/**
+ * Era Commands
+ *
+ * era - list eras or switch to one (context.eras is the EraManager)
+ *       The pick is remembered for the next visit (context.session).
+ */
+
+import { ERA_CONFIG } from '../config/eras.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the era command
+ * @param {CommandRegistry} registry
+ */
+export function registerEraCommands(registry) {
+  registry.register({
+    name: 'era',
+    description: 'Switch visual era',
+    usage: 'era [name]',
+    async run(args, { eras, session }) {
+      // No argument: list eras, marking the current one
+      if (!args[0]) {
+        const width = Math.max(...eras.names.map(name => name.length));
+        return eras.names.map(name => {
+          const marker = name === eras.current ? '*' : ' ';
+          // A catalog can translate the label as 'era.label.<name>'
+          const label = t(`era.label.${name}`, {}, ERA_CONFIG.eras[name].label);
+          return `${marker} ${name.padEnd(width)}  ${label}`;
+        });
+      }
+
+      const name = args[0].toLowerCase();
+      // Only remember an era that was actually applied
+      if (await eras.setEra(name)) {
+        session.set('era', name);
+      }
+    },
+  });
+}
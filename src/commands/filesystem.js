@@ -0,0 +1,104 @@
+/**
+ * Filesystem Commands
+ *
+ * cd, ls, pwd, cat, tree - browse the virtual filesystem in context.fs
+ */
+
+import { bold, color } from '../utils/format.js';
+import { renderMarkdown } from '../content/markdown.js';
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the filesystem commands
+ * @param {CommandRegistry} registry
+ */
+export function registerFilesystemCommands(registry) {
+  registry.register({
+    name: 'cd',
+    description: 'Change directory',
+    usage: 'cd [path]',
+    run(args, { fs, terminal }) {
+      fs.cd(args[0]);
+      terminal.setPrompt(fs.pathOf());
+    },
+  });
+
+  registry.register({
+    name: 'ls',
+    description: 'List directory contents',
+    usage: 'ls [path]',
+    aliases: ['dir'],
+    run(args, { fs }) {
+      const nodes = fs.list(args[0]);
+      if (nodes.length === 0) return undefined;
+      return nodes.map(colorName).join('  ');
+    },
+  });
+
+  registry.register({
+    name: 'pwd',
+    description: 'Print current directory',
+    run(args, { fs }) {
+      return fs.pathOf();
+    },
+  });
+
+  registry.register({
+    name: 'cat',
+    description: 'Print a file',
+    usage: 'cat <file>',
+    run(args, { fs }) {
+      if (!args[0]) throw new CommandError(t('cat.missingFile'));
+
+      const file = fs.read(args[0]);
+      return file.name.endsWith('.md') ? renderMarkdown(file.body) : file.body;
+    },
+  });
+
+  registry.register({
+    name: 'tree',
+    description: 'Show the directory tree',
+    usage: 'tree [path]',
+    run(args, { fs }) {
+      const root = fs.resolve(args[0]);
+      if (!root) throw new CommandError(t('fs.notFound', { path: args[0] }));
+
+      return [args[0] ?? '.', ...drawTree(fs, root)];
+    },
+  });
+}
+
+/**
+ * Directories get a trailing slash, like `ls -F`
+ */
+function formatName(node) {
+  return node.type === 'dir' ? `${node.name}/` : node.name;
+}
+
+/**
+ * Directories in bold blue, like a colored `ls`
+ */
+function colorName(node) {
+  const name = formatName(node);
+  return node.type === 'dir' ? bold(color(name, 'blue')) : name;
+}
+
+/**
+ * Recursively draws a directory with box-drawing branches
+ * @returns {string[]} One string per line
+ */
+function drawTree(fs, dir, indent = '') {
+  if (dir.type !== 'dir') return [];
+
+  const children = fs.list(fs.pathOf(dir));
+  const lines = [];
+
+  children.forEach((child, i) => {
+    const isLast = i === children.length - 1;
+    lines.push(`${indent}${isLast ? '└── ' : '├── '}${colorName(child)}`);
+    lines.push(...drawTree(fs, child, indent + (isLast ? '    ' : '│   ')));
+  });
+
+  return lines;
+}
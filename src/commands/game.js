@@ -0,0 +1,118 @@
+/**
+ * Game Commands
+ *
+ * play - chase the white rabbit (systems/ChaseGame.js) and keep local
+ *        high scores per difficulty
+ *
+ * Uses the scene's "rabbit", dropping a new one from the cursor
+ * (context.spawnRabbit) if there isn't one yet.
+ */
+
+import { ChaseGame } from '../systems/ChaseGame.js';
+import { HighScores } from '../systems/HighScores.js';
+import { GAME_CONFIG } from '../config/game.js';
+import { bold, color, dim, table } from '../utils/format.js';
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the play command
+ * @param {CommandRegistry} registry
+ */
+export function registerGameCommands(registry) {
+  const highScores = new HighScores();
+  const difficulties = Object.keys(GAME_CONFIG.difficulties);
+
+  registry.register({
+    name: 'play',
+    description: 'Catch the white rabbit (mini-game)',
+    usage: `play [${difficulties.join('|')}|scores]`,
+    async run(args, { terminal, scene, spawnRabbit, env }) {
+      const option = args[0]?.toLowerCase() ?? GAME_CONFIG.defaultDifficulty;
+
+      // play scores [difficulty] - show the table(s) without playing
+      if (option === 'scores') {
+        const shown = args[1] ? [args[1].toLowerCase()] : difficulties;
+        if (!shown.every(d => difficulties.includes(d))) {
+          throw new CommandError(t('play.unknownDifficulty', {
+            difficulty: args[1],
+            options: difficulties.join(', '),
+          }));
+        }
+        return shown.flatMap(d => formatScores(highScores, d));
+      }
+
+      if (!difficulties.includes(option)) {
+        throw new CommandError(t('play.unknownDifficulty', {
+          difficulty: args[0],
+          options: [...difficulties, 'scores'].join(', '),
+        }));
+      }
+
+      const { duration } = GAME_CONFIG.difficulties[option];
+      await terminal.print([
+        bold(t('play.title')),
+        t('play.instructions', { duration }),
+        dim(t('play.giveUp')),
+      ]);
+
+      if (!scene.get('rabbit')) {
+        await spawnRabbit();
+      }
+
+      const game = new ChaseGame({ scene, rabbit: scene.get('rabbit'), difficulty: option });
+      const result = await game.play();
+
+      const rank = result.completed
+        ? highScores.add({
+          name: (env.username ?? 'neo').toLowerCase(),
+          score: result.score,
+          catches: result.catches,
+          bestCombo: result.bestCombo,
+          difficulty: option,
+        })
+        : null;
+
+      return [
+        result.completed ? bold(t('play.timeUp')) : dim(t('play.gameOver')),
+        t('play.result', { score: result.score, catches: result.catches, combo: result.bestCombo }),
+        ...(rank ? [color(t('play.highScore', { rank, difficulty: option }), 'bright-green')] : []),
+        '',
+        ...formatScores(highScores, option),
+      ];
+    },
+  });
+}
+
+/**
+ * High score table for one difficulty
+ * @returns {string[]}
+ */
+function formatScores(highScores, difficulty) {
+  const entries = highScores.list(difficulty);
+  if (entries.length === 0) {
+    return [dim(t('play.noScores', { difficulty }))];
+  }
+
+  return [
+    bold(difficulty),
+    ...table(
+      entries.map((entry, index) => [
+        `${index + 1}.`,
+        entry.name,
+        String(entry.score),
+        `x${entry.bestCombo}`,
+        entry.date.slice(0, 10),
+      ]),
+      {
+        header: [
+          '#',
+          t('play.columnName'),
+          t('play.columnScore'),
+          t('play.columnCombo'),
+          t('play.columnDate'),
+        ],
+      }
+    ),
+  ];
+}
@@ -0,0 +1,34 @@
+/**
+ * Language Commands
+ *
+ * lang - show or switch the terminal language (see src/i18n/)
+ *        The pick is remembered for the next visit (context.session).
+ */
+
+import { LANGUAGES, getLanguage, setLanguage, t } from '../i18n/index.js';
+import { CommandError } from '../utils/errors.js';
+
+/**
+ * Registers the lang command
+ * @param {CommandRegistry} registry
+ */
+export function registerLangCommands(registry) {
+  const codes = Object.keys(LANGUAGES);
+
+  registry.register({
+    name: 'lang',
+    description: `Terminal language (${codes.join(', ')})`,
+    usage: `lang [${codes.join('|')}]`,
+    aliases: ['idioma'],
+    run(args, { session }) {
+      if (args[0]) {
+        if (!setLanguage(args[0])) {
+          throw new CommandError(t('lang.unknown', { code: args[0], codes: codes.join(', ') }));
+        }
+        session.set('prefs.lang', getLanguage());
+      }
+
+      return t('lang.current', { language: `${getLanguage()} (${LANGUAGES[getLanguage()].label})` });
+    },
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Portfolio Commands
+ *
+ * about, projects, contact - shortcuts into the virtual filesystem
+ * (content lives in src/content/fs/). They're pages: each has a URL,
+ * e.g. #/projects/shaders (see systems/Router.js).
+ *
+ * Project files can set these frontmatter fields:
+ *   description: One-line summary (projects listing)
+ *   demo: https://...   Live demo link
+ *   image: thumb.png    Preview image (relative to the .md file)
+ */
+
+import { bold, link, image, table } from '../utils/format.js';
+import { renderMarkdown } from '../content/markdown.js';
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the portfolio commands
+ * @param {CommandRegistry} registry
+ */
+export function registerPortfolioCommands(registry) {
+  registry.register({
+    name: 'about',
+    description: 'About me',
+    page: true,
+    run(args, { fs }) {
+      return renderMarkdown(fs.read('~/about.md').body);
+    },
+  });
+
+  registry.register({
+    name: 'projects',
+    description: 'List projects (or show one: projects <name>)',
+    usage: 'projects [name]',
+    page: true,
+    run(args, { fs }) {
+      if (args[0]) {
+        return renderProject(findProject(fs, args[0]));
+      }
+
+      const projects = fs.list('~/projects').filter(node => node.type === 'file');
+      const rows = projects.map(node => [
+        bold(node.name.replace(/\.md$/, '')),
+        node.meta.description ?? '',
+        node.meta.demo ? link(t('projects.demo'), node.meta.demo) : '',
+      ]);
+
+      return [
+        ...table(rows),
+        '',
+        t('projects.details'),
+      ];
+    },
+  });
+
+  registry.register({
+    name: 'contact',
+    description: 'Ways to get in touch',
+    page: true,
+    run(args, { fs }) {
+      return renderMarkdown(fs.read('~/contact.md').body);
+    },
+  });
+}
+
+/**
+ * Looks a project up by name in ~/projects only - a name is not a path,
+ * so `projects ../about` can't reach files outside it
+ * @throws {CommandError} If there's no such project
+ * @returns {Object} File node
+ */
+function findProject(fs, name) {
+  const fileName = `${name.replace(/\.md$/, '')}.md`;
+  const file = !name.includes('/') && !name.includes('..')
+    ? fs.list('~/projects').find(node => node.type === 'file' && node.name === fileName)
+    : null;
+
+  if (!file) throw new CommandError(t('projects.notFound', { name }));
+  return file;
+}
+
+/**
+ * Project page: preview image, title, body, demo link
+ * @param {Object} file - File node from the virtual filesystem
+ */
+function renderProject(file) {
+  const { title, image: imageUrl, demo } = file.meta;
+  const output = [];
+
+  if (imageUrl) {
+    output.push(image(imageUrl, t('projects.preview', { title: title ?? file.name }), { href: demo ?? null }));
+  }
+  output.push(bold(title ?? file.name), '', ...renderMarkdown(file.body));
+  if (demo) {
+    output.push('', t('projects.demoLine', { link: link(demo, demo) }));
+  }
+
+  return output;
+}
@@ -0,0 +1,39 @@
+/**
+ * Rain Commands
+ *
+ * rain - start or stop the digital rain background (context.rain)
+ *        Remembered for the next visit (context.session). Paused while
+ *        accessibility mode is on.
+ */
+
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the rain command
+ * @param {CommandRegistry} registry
+ */
+export function registerRainCommands(registry) {
+  registry.register({
+    name: 'rain',
+    description: 'Digital rain behind the terminal (on/off)',
+    usage: 'rain [on|off]',
+    run(args, { rain, session }) {
+      const mode = args[0]?.toLowerCase() ?? (rain.isEnabled ? 'off' : 'on');
+
+      if (mode === 'on') {
+        rain.start();
+      } else if (mode === 'off') {
+        rain.stop();
+      } else {
+        throw new CommandError(t('rain.invalid', { mode: args[0] }));
+      }
+
+      session.set('prefs.rain', rain.isEnabled);
+      if (rain.isEnabled && !rain.isRunning) {
+        return t('rain.paused');
+      }
+      return t(rain.isEnabled ? 'rain.on' : 'rain.off');
+    },
+  });
+}
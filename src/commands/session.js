@@ -0,0 +1,49 @@
+/**
+ * Session Commands
+ *
+ * reset - forget the visitor: name, era, preferences and progress, and
+ *         everything else the site stored (context.session). Asks first,
+ *         then reloads for a first-visit start.
+ */
+
+import { dim } from '../utils/format.js';
+import { sleep } from '../utils/timing.js';
+import { TIMING } from '../config/animations.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the reset command
+ * @param {CommandRegistry} registry
+ */
+export function registerSessionCommands(registry) {
+  registry.register({
+    name: 'reset',
+    description: 'Forget your name, era, preferences and progress',
+    usage: 'reset [-y]',
+    async run(args, { terminal, session }) {
+      if (args[0] !== '-y') {
+        await terminal.print(t('reset.warning'));
+
+        const label = terminal.promptLabel;
+        terminal.setPrompt(t('reset.prompt'));
+        const answer = await terminal.readLine({ record: false });
+        terminal.setPrompt(label);
+
+        if (!answer.trim().toLowerCase().startsWith(t('reset.yes'))) {
+          return dim(t('reset.cancelled'));
+        }
+      }
+
+      session.clear();
+
+      await terminal.print(dim(t('reset.done')));
+      await sleep(TIMING.verySlow);
+
+      // Without ?name= - the reload would remember it again
+      const url = new URL(window.location.href);
+      url.searchParams.delete('name');
+      history.replaceState(null, '', url);
+      window.location.reload();
+    },
+  });
+}
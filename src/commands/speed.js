@@ -0,0 +1,67 @@
+/**
+ * Speed Commands
+ *
+ * speed - show or change the typing speed (also set by ?speed=)
+ *         A new speed is remembered for the next visit (context.session).
+ *         In accessibility mode typing stays instant; the speed applies
+ *         once it's turned off (context.a11y).
+ */
+
+import { TYPING_CONFIG } from '../config/animations.js';
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Parses a speed value: a multiplier ("2", "0.5"), "normal" or "instant"
+ * Multipliers are clamped to the supported range (see clampSpeed).
+ * @param {string|null} value
+ * @returns {number|null} Multiplier (Infinity for instant), or null if invalid
+ */
+export function parseSpeed(value) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim().toLowerCase();
+  if (text === 'instant') return Infinity;
+  if (text === 'normal') return 1;
+
+  const number = parseFloat(text.replace(/x$/, ''));  // "2x" works too
+  return Number.isFinite(number) && number > 0 ? clampSpeed(number) : null;
+}
+
+/**
+ * Keeps a multiplier within TYPING_CONFIG's minSpeed-maxSpeed (Infinity stays)
+ * @param {number} speed
+ * @returns {number}
+ */
+export function clampSpeed(speed) {
+  const { minSpeed, maxSpeed } = TYPING_CONFIG;
+  return speed === Infinity ? Infinity : Math.min(Math.max(speed, minSpeed), maxSpeed);
+}
+
+/**
+ * Registers the speed command
+ * @param {CommandRegistry} registry
+ */
+export function registerSpeedCommands(registry) {
+  registry.register({
+    name: 'speed',
+    description: 'Typing speed (e.g. speed 2, speed instant)',
+    usage: 'speed [multiplier|normal|instant]',
+    run(args, { a11y, session }) {
+      if (args[0]) {
+        const speed = parseSpeed(args[0]);
+        if (speed === null) {
+          throw new CommandError(t('speed.invalid', { speed: args[0] }));
+        }
+        // Through a11y - accessibility mode keeps typing instant
+        a11y.setTypingSpeed(speed);
+        // Infinity doesn't survive JSON
+        session.set('prefs.speed', speed === Infinity ? 'instant' : speed);
+      }
+
+      const speed = a11y.typingSpeed;
+      const status = speed === Infinity ? t('speed.instant') : t('speed.multiplier', { speed });
+      return a11y.enabled ? t('speed.a11y', { status }) : status;
+    },
+  });
+}
@@ -0,0 +1,67 @@
+/**
+ * Tuning Commands
+ *
+ * crt - open the CRT tuning panel, or manage presets from the prompt
+ *       (context.tuning is the Tuning system, context.crtPanel the panel)
+ */
+
+import { dim } from '../utils/format.js';
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Registers the crt command
+ * @param {CommandRegistry} registry
+ */
+export function registerTuningCommands(registry) {
+  registry.register({
+    name: 'crt',
+    description: 'Tune the CRT effects (panel, presets, export)',
+    usage: 'crt [presets|preset <name>|save <name>|delete <name>|reset|export]',
+    run(args, { tuning, crtPanel }) {
+      const [action, name] = [args[0]?.toLowerCase(), args[1]?.toLowerCase()];
+
+      switch (action) {
+        case undefined:
+          crtPanel.open();
+          return dim(t('crt.panelOpen'));
+
+        case 'presets':
+          return tuning.listPresets().map(preset =>
+            preset.builtIn ? preset.name : `${preset.name} ${dim(t('crt.savedTag'))}`
+          );
+
+        case 'preset':
+          if (!name) throw new CommandError(t('crt.usage', { action }));
+          if (!tuning.applyPreset(name)) {
+            throw new CommandError(t('crt.noPreset', { name }));
+          }
+          return t('crt.applied', { name });
+
+        case 'save':
+          if (!name) throw new CommandError(t('crt.usage', { action }));
+          if (!tuning.savePreset(name)) {
+            throw new CommandError(t('crt.builtIn', { name }));
+          }
+          return t('crt.saved', { name });
+
+        case 'delete':
+          if (!name) throw new CommandError(t('crt.usage', { action }));
+          if (!tuning.deletePreset(name)) {
+            throw new CommandError(t('crt.noSavedPreset', { name }));
+          }
+          return t('crt.deleted', { name });
+
+        case 'reset':
+          tuning.reset();
+          return t('crt.reset');
+
+        case 'export':
+          return tuning.exportJSON().split('\n');
+
+        default:
+          throw new CommandError(t('crt.unknownOption', { option: args[0] }));
+      }
+    },
+  });
+}
@@ -4,37 +4,173 @@
  * Interactive pixel art rabbit that drops from the terminal cursor
  * and jumps when the mouse gets close.
  *
- * Uses CSS sprite sheet animation with a green overlay that fades
- * on the first jump to reveal original colors.
+ * Works without a mouse too (pointer events cover touch and pen):
+ * - Tap near the rabbit to make it jump
+ * - Swipe left/right to send it that way
+ * - Tab to focus it, then Space/Enter or arrow keys to jump
+ *
+ * Behaviour is a finite state machine (see systems/StateMachine.js):
+ *
+ *   spawning -> idle <-> twitching / sniffing / sitting -> sleeping
+ *                 ^                                          |
+ *                 +------------ jumping <---- waking <-------+
+ *
+ * While idle, timers pick small behaviours (ear twitch, sniff, sit).
+ * After a stretch with no interaction it sits and falls asleep; the next
+ * poke startles it awake and it hops away. Any state but spawning,
+ * sleeping and waking can be interrupted by a jump.
+ *
+ * Movement is physics (systems/Physics.js): it falls from the cursor,
+ * jumps in arcs - higher and further the faster the cursor came at it -
+ * bounces off the viewport edges and can land on terminal lines.
+ * Frames come from clips in RABBIT_CONFIG.clips (played by SpriteAnimator);
+ * CSS only fades the green overlay on the first jump to reveal original colors.
+ *
+ * The `play` mini-game (systems/ChaseGame.js) makes it flee harder
+ * (setFlee) and glow with the combo (setGlowBonus).
+ *
+ * Needs to be in a Scene (for the update loop and physics world).
+ *
+ * In accessibility mode (isReducedMotion) spawn and jump skip their
+ * animations: the rabbit appears on the floor and hops by teleporting,
+ * and clips show a single frame.
  */
 
 import { Sprite } from './Sprite.js';
 import { RABBIT_CONFIG } from '../config/animations.js';
+import { isReducedMotion } from '../systems/Accessibility.js';
+import { StateMachine } from '../systems/StateMachine.js';
+import { t } from '../i18n/index.js';
 
 export class Rabbit extends Sprite {
-  constructor(options = {}) {
+  /**
+   * @param {Object} options - Sprite options, plus:
+   * @param {boolean} options.colorRevealed - Start in full color (a returning visitor's rabbit)
+   * @param {Function} options.onColorReveal - Called when the first jump reveals the colors
+   */
+  constructor({ colorRevealed = false, onColorReveal = null, ...options } = {}) {
     super({
       scale: RABBIT_CONFIG.scale,
+      sheet: RABBIT_CONFIG.sheet,
+      clips: RABBIT_CONFIG.clips,
       ...options,
     });
 
-    // State flags
-    this.isSpawning = true;
-    this.isJumping = false;
-    this.jumpCooldown = false;
-    this.isFirstJump = true;
-    this.colorRevealed = false;
-    this.lastDirection = -1;  // Start facing right (flipped)
-
-    // Glow state
-    this.permanentGlowBonus = 0;
-    this.lastMouseX = null;
-    this.lastMouseY = null;
-    this.glowAnimationId = null;
+    this.colorRevealed = colorRevealed;  // Green overlay gone (after the first jump)
+    this.onColorReveal = onColorReveal;
+    this.lastDirection = -1;     // Start facing right (flipped)
+
+    // Behaviour state
+    this.lastJumpEnd = -Infinity;           // For the jump cooldown guard
+    this.lastActivity = performance.now();  // Last interaction (for falling asleep)
+    this.jumpDone = Promise.resolve(false); // Settles when the current jump lands
+    this.landingResolve = null;             // Settles the wait for touchdown mid-jump
+    this.launchSpeedY = RABBIT_CONFIG.jump.maxSpeedY;  // For picking airborne frames
+    this.behaviourTimer = null;
+    this.fsm = this.createStateMachine();
+
+    // Glow state (pointer = mouse, finger or pen)
+    this.glowBonus = 0;  // Extra glow on top of proximity (the chase game's combo)
+    this.lastPointerX = null;
+    this.lastPointerY = null;
+
+    // Cursor approach speed (px/s toward the rabbit, smoothed) - sets jump strength
+    this.approachSpeed = 0;
+    this.lastPointerDistance = null;
+    this.lastPointerTime = null;
+
+    // Being chased (see setFlee) - null for normal behaviour
+    this.flee = null;
+
+    // Interaction handlers (stored for cleanup)
+    this.pointerMoveHandler = null;
+    this.pointerDownHandler = null;
+    this.pointerUpHandler = null;
+    this.keyHandler = null;
+    this.swipeStart = null;  // { x, y, time, pointerId } while a touch is down
+  }
 
-    // Mouse interaction handlers (stored for cleanup)
-    this.mouseHandler = null;
-    this.clickHandler = null;
+  /**
+   * Builds the behaviour state machine (see module comment for the graph)
+   */
+  createStateMachine() {
+    const interruptible = ['idle', 'jumping'];
+
+    return new StateMachine({
+      initial: 'spawning',
+      onChange: (state) => {
+        if (this.element) this.element.dataset.state = state;
+      },
+      states: {
+        spawning: {
+          to: ['idle'],
+        },
+        idle: {
+          to: ['jumping', 'twitching', 'sniffing', 'sitting'],
+          enter: () => {
+            this.play('idle');
+            this.scheduleIdleBehaviour();
+          },
+          exit: () => this.cancelIdleBehaviour(),
+        },
+        twitching: {
+          to: interruptible,
+          enter: () => this.playBehaviour('twitching', 'twitch'),
+          exit: () => this.animator?.stop(),
+        },
+        sniffing: {
+          to: interruptible,
+          enter: () => this.playBehaviour('sniffing', 'sniff'),
+          exit: () => this.animator?.stop(),
+        },
+        sitting: {
+          to: [...interruptible, 'sleeping'],
+          enter: () => {
+            const { sitDuration, sleepAfter } = RABBIT_CONFIG.idle;
+            this.play('sit');
+            this.behaviourTimer = this.setTimeout(() => {
+              const isDrowsy = performance.now() - this.lastActivity >= sleepAfter;
+              this.fsm.transition(isDrowsy ? 'sleeping' : 'idle');
+            }, sitDuration);
+          },
+          exit: () => {
+            this.animator?.stop();
+            this.cancelIdleBehaviour();
+          },
+        },
+        sleeping: {
+          to: ['waking'],
+          enter: () => this.play('sleep'),
+          exit: () => this.animator?.stop(),
+        },
+        waking: {
+          to: interruptible,
+          enter: () => {
+            // Startled: jolt, then hop away from whatever woke it
+            this.play('startle').then(finished => {
+              if (!finished) return;
+              this.fsm.transition('jumping', { direction: this.directionAwayFromPointer() })
+                || this.fsm.transition('idle');
+            });
+          },
+          exit: () => this.animator?.stop(),
+        },
+        jumping: {
+          to: ['idle'],
+          guard: () => {
+            const cooldown = this.flee?.cooldown ?? RABBIT_CONFIG.jumpCooldown;
+            return performance.now() - this.lastJumpEnd >= cooldown;
+          },
+          enter: (from, { direction = null, strength = RABBIT_CONFIG.jump.defaultStrength } = {}) => {
+            this.jumpDone = this.playJump(direction, strength).then(() => {
+              this.lastJumpEnd = performance.now();
+              this.fsm.transition('idle');
+              return true;
+            });
+          },
+        },
+      },
+    });
   }
 
   /**
@@ -43,14 +179,17 @@ export class Rabbit extends Sprite {
   createElement() {
     const el = document.createElement('div');
     // Start flipped (facing right) for first jump
-    el.className = 'rabbit spawning flipped';
+    el.className = this.colorRevealed ? 'rabbit flipped color-revealed' : 'rabbit flipped';
+    el.dataset.state = this.fsm.state;
     el.style.position = 'fixed';
+    // Decorative until it can be interacted with
+    el.setAttribute('aria-hidden', 'true');
     return el;
   }
 
   /**
-   * Spawns the rabbit at a position and drops to bottom of viewport
-   * @param {number} x - Starting X position (centered on this point)
+   * Spawns the rabbit at a position and lets it fall (to the floor or a terminal line)
+   * @param {number} x - Starting X position (left edge of the unscaled element)
    * @param {number} y - Starting Y position (top of rabbit)
    * @param {HTMLElement} container - Container to spawn into (default: document.body)
    */
@@ -63,138 +202,285 @@ export class Rabbit extends Sprite {
     // Apply CRT effects to rabbit (inner element, not wrapper)
     this.element.classList.add('crt-effects');
 
+    this.createBody();
     this.updatePosition();
 
-    // Start tracking mouse position immediately for glow during drop
-    this.earlyMouseHandler = (e) => {
-      this.lastMouseX = e.clientX;
-      this.lastMouseY = e.clientY;
+    // Reduced motion (or no physics to fall with): just appear on the floor
+    if (isReducedMotion() || !this.scene?.physics) {
+      this.body.grounded = true;
+      this.body.ground = 'floor';
+      this.body.moveTo(this.body.x, this.getBounds().bottom);
+      this.syncToBody();
+      this.finishSpawn();
+      return this;
+    }
+
+    // Start tracking pointer position immediately for glow during drop
+    this.earlyPointerHandler = (e) => {
+      this.lastPointerX = e.clientX;
+      this.lastPointerY = e.clientY;
     };
-    document.addEventListener('mousemove', this.earlyMouseHandler);
+    document.addEventListener('pointermove', this.earlyPointerHandler);
+    document.addEventListener('pointerdown', this.earlyPointerHandler);
 
-    // Start glow animation during drop
-    this.startGlowAnimation();
+    // Falls by gravity from here; onLand() finishes the spawn
+    this.play('spawn');
 
-    // Listen for spawn animation end (specifically the drop, not sprite)
-    // Can't use { once: true } because multiple animations fire animationend
-    const onSpawnEnd = (e) => {
-      // Only respond to the drop animation, not the sprite animation
-      if (e.animationName !== 'rabbit-spawn-drop') return;
+    return this;
+  }
 
-      // Remove listener now that we've handled the correct animation
-      this.element.removeEventListener('animationend', onSpawnEnd);
+  /**
+   * Ends spawning: the rabbit is standing on something
+   */
+  finishSpawn() {
+    this.fsm.transition('idle');
+  }
 
-      // Stop glow animation loop
-      this.stopGlowAnimation();
+  /**
+   * True while falling or mid-jump
+   */
+  get isAirborne() {
+    return this.body ? !this.body.grounded : false;
+  }
 
-      this.isSpawning = false;
-      this.element.classList.remove('spawning');
+  /**
+   * Touchdown (from Sprite.update): ends the spawn drop or the jump arc
+   */
+  onLand() {
+    if (this.fsm.is('spawning')) {
+      this.finishSpawn();
+    } else if (this.landingResolve) {
+      const resolve = this.landingResolve;
+      this.landingResolve = null;
+      resolve(true);
+    } else if (this.fsm.is('idle')) {
+      // Fell off a line that scrolled away
+      this.play('land').then(finished => {
+        if (finished && this.fsm.is('idle')) this.play('idle');
+      });
+    }
+  }
 
-      // Lock in final position at bottom of viewport
-      const visualHeight = RABBIT_CONFIG.height * this.scale;
-      this.y = window.innerHeight - visualHeight;
-      this.updatePosition();
-    };
-    this.element.addEventListener('animationend', onSpawnEnd);
+  /**
+   * Bounced off a viewport edge: face the new way
+   */
+  onWallHit(side) {
+    // Left wall -> now heading right (-1), right wall -> heading left (1)
+    this.face(side === -1 ? -1 : 1);
+  }
 
-    return this;
+  /**
+   * Turns the sprite: 1 = left (unflipped), -1 = right (flipped)
+   */
+  face(direction) {
+    this.lastDirection = direction;
+    this.element?.classList.toggle('flipped', direction === -1);
   }
 
   /**
-   * Plays the full jump animation
+   * Jumps, unless the current state doesn't allow it (spawning, asleep,
+   * mid-jump or cooling down)
+   * @param {number|null} direction - 1 = left, -1 = right, null = pick one
+   * @param {number} strength - 0-1, from the smallest to the biggest arc
+   * @returns {Promise<boolean>} Resolves when landed; false if it didn't jump
+   */
+  jump(direction = null, strength = RABBIT_CONFIG.jump.defaultStrength) {
+    if (!this.fsm.transition('jumping', { direction, strength })) {
+      return Promise.resolve(false);
+    }
+    return this.jumpDone;
+  }
+
+  /**
+   * Reacts to the visitor: wakes the rabbit if asleep, otherwise jumps
+   * @param {number|null} direction - See jump()
+   * @param {number} strength - See jump()
+   */
+  poke(direction = null, strength = RABBIT_CONFIG.jump.defaultStrength) {
+    this.lastActivity = performance.now();
+
+    if (this.fsm.is('sleeping')) {
+      this.fsm.transition('waking');
+    } else {
+      this.jump(direction, strength);
+    }
+  }
+
+  /**
+   * Plays the full jump: crouch, physics arc, landing (state handling lives in jump())
    * Returns a Promise that resolves when complete
+   * @param {number|null} preferredDirection - See jump()
+   * @param {number} strength - See jump()
    */
-  jump() {
+  playJump(preferredDirection, strength) {
     return new Promise(resolve => {
-      if (!this.element || this.isSpawning) return resolve();
+      if (!this.element || !this.body) return resolve();
 
-      const isFirstJump = this.isFirstJump;
-      const visualWidth = RABBIT_CONFIG.width * this.scale;
-      const jumpDist = RABBIT_CONFIG.jumpDistance;
-      const edgeMargin = 20;  // px buffer from screen edge
-
-      // Check which directions are valid (won't go off-screen)
-      const canGoLeft = this.x - jumpDist >= edgeMargin;
-      const canGoRight = this.x + jumpDist + visualWidth <= window.innerWidth - edgeMargin;
+      const isFirstJump = !this.colorRevealed;
 
       // Determine direction: 1 = left (unflipped), -1 = right (flipped)
       let direction;
 
-      if (isFirstJump) {
-        // First jump prefers right, but respects edge
-        direction = canGoRight ? -1 : 1;
-        this.isFirstJump = false;
-        this.element.classList.add('color-fade');
+      if (preferredDirection !== null) {
+        direction = preferredDirection;
+      } else if (isFirstJump) {
+        direction = -1;  // First jump heads right
+      } else if (this.isAgainstWall(1)) {
+        direction = -1;  // Nowhere to go but right
+      } else if (this.isAgainstWall(-1)) {
+        direction = 1;
       } else {
-        // Random direction, but force opposite if at edge
-        if (!canGoLeft && !canGoRight) {
-          // Trapped - don't jump (shouldn't happen with normal jump distance)
-          this.isJumping = false;
-          return resolve();
-        } else if (!canGoLeft) {
-          direction = -1;  // Must go right
-        } else if (!canGoRight) {
-          direction = 1;   // Must go left
-        } else {
-          // 1/3 chance to flip direction, 2/3 chance to continue same way
-          direction = Math.random() < 1/3 ? -this.lastDirection : this.lastDirection;
-        }
+        // 1/3 chance to flip direction, 2/3 chance to continue same way
+        direction = Math.random() < 1/3 ? -this.lastDirection : this.lastDirection;
       }
 
-      // Update last direction for next jump
-      this.lastDirection = direction;
-
-      // Set CSS variable for animation direction
-      this.element.style.setProperty('--jump-direction', direction);
+      if (isFirstJump) {
+        this.element.classList.add('color-fade');
+      }
 
-      // Flip sprite based on direction
-      if (direction === -1) {
-        this.element.classList.add('flipped');
-      } else {
-        this.element.classList.remove('flipped');
+      this.face(direction);
+
+      // Reduced motion: hop instantly, no arc or sprite animation
+      if (isReducedMotion()) {
+        const { left, right } = this.getBounds();
+        const halfWidth = this.body.width / 2;
+        const x = this.body.x - RABBIT_CONFIG.jumpDistance * direction;
+        this.body.moveTo(Math.min(Math.max(x, left + halfWidth), right - halfWidth));
+        this.syncToBody();
+        this.animator?.showFrame(RABBIT_CONFIG.clips.idle.from);
+        if (isFirstJump) this.revealColor();
+        return resolve();
       }
 
-      // Reset animation by removing and re-adding class
-      this.element.classList.remove('jumping');
-      void this.element.offsetWidth;  // Force reflow
       this.element.classList.add('jumping');
 
-      // Start continuous glow updates during jump
-      this.startGlowAnimation();
+      // Crouch, launch on the takeoff frame, fly (frames follow the arc
+      // in update()), then land
+      const onEvent = (event) => {
+        if (event === 'takeoff') this.launch(direction, strength);
+      };
 
-      // Listen for animation end
-      // Can't use { once: true } because multiple animations fire animationend
-      const onJumpEnd = (e) => {
-        // Only respond to the jump sprite animation
-        if (e.animationName !== 'rabbit-jump-sprite') return;
+      this.play('takeoff', { onEvent })
+        .then(finished => finished && this.waitForLanding())
+        .then(landed => landed && this.play('land'))
+        .then(() => {
+          this.element?.classList.remove('jumping');
 
-        // Remove listener now that we've handled the correct animation
-        this.element.removeEventListener('animationend', onJumpEnd);
+          // After first jump, keep overlay hidden permanently
+          if (isFirstJump) {
+            this.revealColor();
+          }
 
-        // Update position based on direction
-        const offset = RABBIT_CONFIG.jumpDistance * direction;
-        this.x = this.x - offset;
-        this.updatePosition();
+          resolve();
+        });
+    });
+  }
 
-        this.element.classList.remove('jumping');
+  /**
+   * Gives the body its jump velocity
+   */
+  launch(direction, strength) {
+    const { minSpeedX, maxSpeedX, minSpeedY, maxSpeedY } = RABBIT_CONFIG.jump;
+    const t = Math.min(Math.max(strength, 0), 1);
 
-        // Stop continuous glow updates
-        this.stopGlowAnimation();
+    // Screen x grows to the right, so direction 1 (left) is negative
+    const vx = -direction * (minSpeedX + (maxSpeedX - minSpeedX) * t);
+    const vy = -(minSpeedY + (maxSpeedY - minSpeedY) * t);
 
-        // After first jump, keep overlay hidden permanently
-        if (isFirstJump) {
-          this.element.classList.remove('color-fade');
-          this.element.classList.add('color-revealed');
-          this.colorRevealed = true;
-        }
+    this.launchSpeedY = -vy;
+    this.body.launch(vx, vy);
+  }
 
-        this.isJumping = false;
-        resolve();
-      };
-      this.element.addEventListener('animationend', onJumpEnd);
+  /**
+   * Resolves true on the next touchdown (see onLand)
+   */
+  waitForLanding() {
+    if (!this.isAirborne) return Promise.resolve(true);
+    return new Promise(resolve => {
+      this.landingResolve = resolve;
     });
   }
 
+  /**
+   * True if the body is touching a viewport edge
+   * @param {number} direction - 1 = left edge, -1 = right edge (jump() convention)
+   */
+  isAgainstWall(direction) {
+    const margin = 1;
+    const { left, right } = this.getBounds();
+    return direction === 1
+      ? this.body.left <= left + margin
+      : this.body.right >= right - margin;
+  }
+
+  /**
+   * Shows the airborne frame for the current vertical speed
+   * (clips.air from rising to falling)
+   */
+  updateAirFrame() {
+    const { from, to } = RABBIT_CONFIG.clips.air;
+    // 0 at launch speed going up, 0.5 at the apex, 1 at the same speed coming down
+    const progress = Math.min(Math.max((this.body.vy / this.launchSpeedY + 1) / 2, 0), 1);
+    this.animator.showFrame(Math.round(from + (to - from) * progress));
+  }
+
+  /**
+   * Waits a random moment, then starts an idle behaviour
+   * Long enough without interaction, it always sits (on the way to sleep).
+   */
+  scheduleIdleBehaviour() {
+    if (this.isDestroyed) return;
+
+    const { minDelay, maxDelay, sleepAfter, weights } = RABBIT_CONFIG.idle;
+    const delay = minDelay + Math.random() * (maxDelay - minDelay);
+
+    this.behaviourTimer = this.setTimeout(() => {
+      this.behaviourTimer = null;
+
+      // No sniffing mid-fall - try again later
+      if (this.isAirborne) return this.scheduleIdleBehaviour();
+
+      const isDrowsy = performance.now() - this.lastActivity >= sleepAfter;
+      this.fsm.transition(isDrowsy ? 'sitting' : pickWeighted(weights));
+    }, delay);
+  }
+
+  cancelIdleBehaviour() {
+    if (this.behaviourTimer) {
+      this.clearTimeout(this.behaviourTimer);
+      this.behaviourTimer = null;
+    }
+  }
+
+  /**
+   * Plays a short behaviour clip, then goes back to idle
+   */
+  playBehaviour(state, clip) {
+    this.play(clip).then(finished => {
+      if (finished && this.fsm.is(state)) this.fsm.transition('idle');
+    });
+  }
+
+  /**
+   * Jump direction that moves away from the last pointer position
+   * @returns {number|null} 1 = left, -1 = right, null if the pointer is unknown
+   */
+  directionAwayFromPointer() {
+    if (this.lastPointerX === null) return null;
+    const { rabbitBottomX } = this.getDistanceToBottomCenter(this.lastPointerX, this.lastPointerY);
+    return this.lastPointerX > rabbitBottomX ? 1 : -1;
+  }
+
+  /**
+   * Hides the green overlay for good (after the first jump)
+   */
+  revealColor() {
+    this.element.classList.remove('color-fade');
+    this.element.classList.add('color-revealed');
+    this.colorRevealed = true;
+    this.onColorReveal?.();
+  }
+
   /**
    * Calculates distance from a point to rabbit's bottom center
    * Uses getBoundingClientRect for actual rendered position (accounts for CSS animations)
@@ -220,7 +506,32 @@ export class Rabbit extends Sprite {
   }
 
   /**
-   * Updates the glow intensity based on proximity + permanent bonus
+   * Sets the extra glow added on top of proximity (0 to turn it off)
+   * @param {number} bonus - Added to the glow multiplier, capped at maxGlowBonus
+   */
+  setGlowBonus(bonus) {
+    this.glowBonus = Math.min(Math.max(bonus, 0), RABBIT_CONFIG.maxGlowBonus);
+
+    if (this.lastPointerX === null) {
+      this.updateGlow(Infinity);
+    } else {
+      this.updateGlowFromStoredPosition();
+    }
+  }
+
+  /**
+   * Makes the rabbit flee harder (the chase game), or back to normal with null
+   * @param {Object|null} settings
+   * @param {number} settings.threshold - Pointer distance (px) that triggers a jump
+   * @param {number} settings.minStrength - Weakest jump (0-1), however slow the approach
+   * @param {number} settings.cooldown - ms between jumps
+   */
+  setFlee(settings) {
+    this.flee = settings;
+  }
+
+  /**
+   * Updates the glow intensity based on proximity + bonus
    * @param {number} distance - Current distance to rabbit's bottom center
    */
   updateGlow(distance) {
@@ -236,8 +547,8 @@ export class Rabbit extends Sprite {
       proximityFactor = Math.pow(t, glowExponent);
     }
 
-    // Total glow = base (1) + proximity + permanent
-    const totalGlow = 1 + proximityFactor * maxProximityGlow + this.permanentGlowBonus;
+    // Total glow = base (1) + proximity + bonus
+    const totalGlow = 1 + proximityFactor * maxProximityGlow + this.glowBonus;
     const totalSpread = 1 + proximityFactor * maxProximitySpread;
 
     this.element.style.setProperty('--crt-glow-intensity', totalGlow);
@@ -245,128 +556,230 @@ export class Rabbit extends Sprite {
   }
 
   /**
-   * Updates glow using last known mouse position
+   * Updates glow using last known pointer position
    */
   updateGlowFromStoredPosition() {
-    // Skip if no mouse position recorded yet
-    if (this.lastMouseX === null || this.lastMouseY === null) return;
+    // Skip if no pointer position recorded yet
+    if (this.lastPointerX === null || this.lastPointerY === null) return;
 
-    const { distance } = this.getDistanceToBottomCenter(this.lastMouseX, this.lastMouseY);
+    const { distance } = this.getDistanceToBottomCenter(this.lastPointerX, this.lastPointerY);
     this.updateGlow(distance);
   }
 
   /**
-   * Starts continuous glow updates (for when rabbit is moving)
+   * Back inside the viewport after a resize (extends parent) - the glow
+   * follows, since the distance to the pointer changed
    */
-  startGlowAnimation() {
-    if (this.glowAnimationId) return;
-
-    const animate = () => {
-      this.updateGlowFromStoredPosition();
-      this.glowAnimationId = requestAnimationFrame(animate);
-    };
-    this.glowAnimationId = requestAnimationFrame(animate);
+  relayout() {
+    super.relayout();
+    this.updateGlowFromStoredPosition();
   }
 
   /**
-   * Stops continuous glow updates
+   * Per-step update from the Scene loop (extends parent)
    */
-  stopGlowAnimation() {
-    if (this.glowAnimationId) {
-      cancelAnimationFrame(this.glowAnimationId);
-      this.glowAnimationId = null;
+  update(dt) {
+    super.update(dt);
+
+    if (!this.isAirborne) return;
+
+    // Moving under the pointer - glow can't wait for pointermove
+    this.updateGlowFromStoredPosition();
+
+    // Between takeoff and landing clips (or falling off a line)
+    if (!this.fsm.is('spawning') && !this.animator.playback) {
+      this.updateAirFrame();
     }
   }
 
   /**
-   * Enables mouse-triggered jumping and proximity glow
-   * @param {number} threshold - Distance in pixels to trigger jump
+   * Enables pointer/keyboard-triggered jumping and proximity glow
+   * - Mouse: jumps when the pointer comes within threshold
+   * - Touch/pen: tap near the rabbit, or swipe to pick a direction
+   * - Keyboard: the rabbit becomes focusable (Space/Enter/arrows)
+   * @param {number} threshold - Distance in pixels to trigger a mouse jump
    */
-  enableMouseReaction(threshold = RABBIT_CONFIG.mouseThreshold) {
+  enableInteraction(threshold = RABBIT_CONFIG.mouseThreshold) {
     if (!this.element) return;
 
-    // Remove early mouse handler if it exists (was used during spawn)
-    if (this.earlyMouseHandler) {
-      document.removeEventListener('mousemove', this.earlyMouseHandler);
-      this.earlyMouseHandler = null;
-    }
+    // Remove early pointer handler if it exists (was used during spawn)
+    this.removeEarlyPointerHandler();
 
-    this.mouseHandler = (e) => {
-      // Store mouse position for glow updates during movement
-      this.lastMouseX = e.clientX;
-      this.lastMouseY = e.clientY;
+    this.pointerMoveHandler = (e) => {
+      // Store pointer position for glow updates during movement
+      this.lastPointerX = e.clientX;
+      this.lastPointerY = e.clientY;
 
       const { distance } = this.getDistanceToBottomCenter(e.clientX, e.clientY);
+      this.trackApproach(distance);
 
-      // Update glow based on proximity (skip if animation loop is running)
-      if (!this.glowAnimationId) {
+      // Update glow based on proximity (update() handles it while airborne)
+      if (!this.isAirborne) {
         this.updateGlow(distance);
       }
 
-      // Block jump if spawning, jumping, or in cooldown
-      if (this.isSpawning || this.isJumping || this.jumpCooldown) return;
-
-      if (distance < threshold) {
-        this.isJumping = true;  // Set immediately to block further triggers
-        this.jump().then(() => {
-          // Cooldown prevents immediate re-trigger
-          this.jumpCooldown = true;
-          this.setTimeout(() => {
-            this.jumpCooldown = false;
-          }, RABBIT_CONFIG.jumpCooldown);
-        });
+      // Hovering nearby keeps it awake
+      if (distance < RABBIT_CONFIG.glowRange && !this.fsm.is('sleeping')) {
+        this.lastActivity = performance.now();
+      }
+
+      // Fingers don't hover - touch jumps come from taps and swipes
+      if (e.pointerType !== 'mouse') return;
+
+      // Chased: reacts from further away, always jumps hard and away from the pointer
+      if (distance < (this.flee?.threshold ?? threshold)) {
+        const { approachSpeedForMax } = RABBIT_CONFIG.jump;
+        const strength = Math.max(this.approachSpeed / approachSpeedForMax, this.flee?.minStrength ?? 0);
+        this.poke(this.flee ? this.directionAwayFromPointer() : null, strength);
       }
     };
 
-    // Click handler for permanent glow boost
-    this.clickHandler = (e) => {
-      const { distance } = this.getDistanceToBottomCenter(e.clientX, e.clientY);
+    this.pointerDownHandler = (e) => {
+      this.lastPointerX = e.clientX;
+      this.lastPointerY = e.clientY;
 
-      if (distance < RABBIT_CONFIG.clickRadius) {
-        this.permanentGlowBonus = Math.min(
-          this.permanentGlowBonus + RABBIT_CONFIG.glowBoostPerClick,
-          RABBIT_CONFIG.maxPermanentGlow
-        );
-        // Update glow immediately with new permanent bonus
+      const { distance } = this.getDistanceToBottomCenter(e.clientX, e.clientY);
+      if (!this.isAirborne) {
         this.updateGlow(distance);
       }
+
+      this.swipeStart = null;
+      if (e.pointerType === 'mouse' || distance > RABBIT_CONFIG.touchRadius) return;
+      this.swipeStart = { x: e.clientX, y: e.clientY, time: performance.now(), pointerId: e.pointerId };
     };
 
-    this.addEventListener(document, 'mousemove', this.mouseHandler);
-    this.addEventListener(document, 'click', this.clickHandler);
+    this.pointerUpHandler = (e) => {
+      const start = this.swipeStart;
+      if (!start || start.pointerId !== e.pointerId) return;
+      this.swipeStart = null;
+
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+
+      // Barely moved: a tap
+      if (Math.hypot(dx, dy) < RABBIT_CONFIG.swipeMinDistance) {
+        this.poke();
+        return;
+      }
+
+      // Quick, mostly horizontal: a swipe
+      // Swipe right -> jump right (-1), swipe left -> jump left (1)
+      const isSwipe = Math.abs(dx) > Math.abs(dy)
+        && performance.now() - start.time <= RABBIT_CONFIG.swipeMaxDuration;
+      if (isSwipe) {
+        this.poke(-Math.sign(dx));
+      }
+    };
+
+    this.keyHandler = (e) => {
+      const direction = KEY_DIRECTIONS[e.key];
+      if (direction === undefined) return;
+
+      // Keep the key away from the terminal (it listens on document)
+      e.preventDefault();
+      e.stopPropagation();
+      this.poke(direction);
+    };
+
+    this.addEventListener(document, 'pointermove', this.pointerMoveHandler);
+    this.addEventListener(document, 'pointerdown', this.pointerDownHandler);
+    this.addEventListener(document, 'pointerup', this.pointerUpHandler);
+    this.addEventListener(this.element, 'keydown', this.keyHandler);
+
+    // Now interactive: reachable with Tab and announced as a button
+    this.element.removeAttribute('aria-hidden');
+    this.element.tabIndex = 0;
+    this.element.setAttribute('role', 'button');
+    this.element.setAttribute('aria-label', t('rabbit.label'));
   }
 
   /**
-   * Disables mouse reaction and click glow
+   * Updates the smoothed speed at which the pointer closes in on the rabbit
+   * (moving away or standing still counts as 0)
    */
-  disableMouseReaction() {
-    this.stopGlowAnimation();
-
-    if (this.earlyMouseHandler) {
-      document.removeEventListener('mousemove', this.earlyMouseHandler);
-      this.earlyMouseHandler = null;
+  trackApproach(distance) {
+    const now = performance.now();
+
+    if (this.lastPointerTime !== null && now > this.lastPointerTime) {
+      const seconds = (now - this.lastPointerTime) / 1000;
+      const speed = Math.max((this.lastPointerDistance - distance) / seconds, 0);
+      // Exponential smoothing - one jittery event shouldn't decide the jump
+      this.approachSpeed = this.approachSpeed * 0.6 + speed * 0.4;
     }
-    if (this.mouseHandler) {
-      document.removeEventListener('mousemove', this.mouseHandler);
-      this.eventHandlers = this.eventHandlers.filter(
-        h => h.handler !== this.mouseHandler
-      );
-      this.mouseHandler = null;
+
+    this.lastPointerDistance = distance;
+    this.lastPointerTime = now;
+  }
+
+  /**
+   * Disables pointer/keyboard reaction
+   */
+  disableInteraction() {
+    this.removeEarlyPointerHandler();
+
+    const handlers = [
+      this.pointerMoveHandler,
+      this.pointerDownHandler,
+      this.pointerUpHandler,
+      this.keyHandler,
+    ];
+    for (const { target, event, handler } of this.eventHandlers) {
+      if (handlers.includes(handler)) {
+        target.removeEventListener(event, handler);
+      }
     }
-    if (this.clickHandler) {
-      document.removeEventListener('click', this.clickHandler);
-      this.eventHandlers = this.eventHandlers.filter(
-        h => h.handler !== this.clickHandler
-      );
-      this.clickHandler = null;
+    this.eventHandlers = this.eventHandlers.filter(h => !handlers.includes(h.handler));
+
+    this.pointerMoveHandler = null;
+    this.pointerDownHandler = null;
+    this.pointerUpHandler = null;
+    this.keyHandler = null;
+    this.swipeStart = null;
+
+    if (this.element) {
+      this.element.removeAttribute('tabindex');
+      this.element.removeAttribute('role');
+      this.element.removeAttribute('aria-label');
+      this.element.setAttribute('aria-hidden', 'true');
     }
   }
 
+  removeEarlyPointerHandler() {
+    if (!this.earlyPointerHandler) return;
+    document.removeEventListener('pointermove', this.earlyPointerHandler);
+    document.removeEventListener('pointerdown', this.earlyPointerHandler);
+    this.earlyPointerHandler = null;
+  }
+
   /**
    * Clean up (extends parent)
    */
   destroy() {
-    this.disableMouseReaction();
+    this.disableInteraction();
+    this.cancelIdleBehaviour();
     super.destroy();
   }
 }
+
+// Keyboard controls while the rabbit has focus (values match jump() directions)
+const KEY_DIRECTIONS = {
+  ' ': null,
+  Enter: null,
+  ArrowUp: null,
+  ArrowLeft: 1,
+  ArrowRight: -1,
+};
+
+/**
+ * Picks a key from { key: weight }, proportionally to the weights
+ */
+function pickWeighted(weights) {
+  const entries = Object.entries(weights);
+  let roll = Math.random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
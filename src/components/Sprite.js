@@ -6,8 +6,27 @@
  *
  * Think of this like a MonoBehaviour base class - provides common lifecycle
  * and utility methods that specific sprites can extend.
+ *
+ * Pass a sprite sheet and clips (see SpriteAnimator.js) to get frame
+ * animation for free: this.play('clipName') once spawned.
+ *
+ * Inside a Scene (systems/Scene.js) the scene's loop calls update(dt)
+ * every fixed step, and timers and clips run on scene time - so they
+ * pause with the scene. Subclasses overriding update(dt) should call
+ * super.update(dt). Outside a scene, timers fall back to setTimeout and
+ * clips to their own requestAnimationFrame loop.
+ *
+ * Give a sprite a physics body (createBody()) and the scene's physics
+ * world moves it every step: gravity, floor, walls and platforms. The
+ * sprite reacts through onLand() / onWallHit(), like OnCollisionEnter2D.
+ *
+ * When the viewport resizes, the scene calls relayout() so sprites don't
+ * end up floating or off-screen (see systems/Viewport.js).
  */
 
+import { SpriteAnimator } from './SpriteAnimator.js';
+import { PhysicsBody } from '../systems/Physics.js';
+
 export class Sprite {
   constructor(options = {}) {
     // DOM element reference
@@ -20,9 +39,22 @@ export class Sprite {
     // Visual scale (like transform.localScale in Unity)
     this.scale = options.scale ?? 1;
 
+    // Frame animation (created on spawn if a sheet was given)
+    this.sheet = options.sheet ?? null;
+    this.clips = options.clips ?? {};
+    this.animator = null;
+
+    // Physics (optional - stepped by the scene's PhysicsWorld)
+    this.body = null;
+
+    // Scene membership (set by Scene.add)
+    this.scene = null;
+    this.id = null;
+
     // Resource tracking for cleanup
     this.eventHandlers = [];  // Array of { target, event, handler }
     this.timers = [];         // Array of timeout/interval IDs
+    this.sceneTimers = new Set();  // { remaining, callback } - counted down in update()
     this.isDestroyed = false;
   }
 
@@ -47,12 +79,123 @@ export class Sprite {
     }
 
     this.element = this.createElement();
+    if (this.sheet) {
+      this.animator = new SpriteAnimator(this.element, {
+        sheet: this.sheet,
+        clips: this.clips,
+        autoUpdate: !this.scene,  // The scene loop drives it otherwise
+      });
+    }
     this.updatePosition();
     parent.appendChild(this.element);
 
     return this;
   }
 
+  /**
+   * Called by Scene.add - joins the scene's loop
+   */
+  attach(scene, id) {
+    this.scene = scene;
+    this.id = id;
+    this.animator?.setAutoUpdate(false);
+  }
+
+  /**
+   * Advances the sprite by one fixed step (called by the Scene loop)
+   * Like Update() in Unity - override for per-frame behaviour, and call super.
+   * @param {number} dt - Seconds since the last update
+   */
+  update(dt) {
+    const elapsed = dt * 1000;
+    for (const timer of [...this.sceneTimers]) {
+      timer.remaining -= elapsed;
+      if (timer.remaining <= 0 && this.sceneTimers.delete(timer)) {
+        timer.callback();
+      }
+    }
+
+    if (this.body && this.scene?.physics) {
+      const { landed, wall } = this.scene.physics.step(this.body, dt);
+      this.syncToBody();
+      if (wall) this.onWallHit(wall);
+      if (landed) this.onLand(this.body.ground);
+    }
+
+    this.animator?.update(dt);
+  }
+
+  /**
+   * Adds a physics body matching the sprite's visual box
+   * Assumes the element is scaled from its top center (like .rabbit), so
+   * the visual box is the sheet frame times this.scale, sharing its center.
+   */
+  createBody() {
+    const { frameWidth, frameHeight } = this.sheet;
+    this.body = new PhysicsBody({
+      x: this.x + frameWidth / 2,
+      y: this.y + frameHeight * this.scale,
+      width: frameWidth * this.scale,
+      height: frameHeight * this.scale,
+    });
+    return this.body;
+  }
+
+  /**
+   * Moves the element to where the physics body is
+   */
+  syncToBody() {
+    const { frameWidth, frameHeight } = this.sheet;
+    this.x = this.body.x - frameWidth / 2;
+    this.y = this.body.y - frameHeight * this.scale;
+    this.updatePosition();
+  }
+
+  /**
+   * Called when the body touches down
+   * @param {string|HTMLElement} ground - 'floor' or the platform element
+   */
+  onLand(ground) {}
+
+  /**
+   * Called when the body hits a wall
+   * @param {number} side - -1 = left wall, 1 = right wall
+   */
+  onWallHit(side) {}
+
+  /**
+   * The area the sprite moves in: its physics world's bounds, or the viewport
+   * @returns {{ left: number, right: number, bottom: number }}
+   */
+  getBounds() {
+    return this.scene?.physics?.getBounds()
+      ?? { left: 0, right: window.innerWidth, bottom: window.innerHeight };
+  }
+
+  /**
+   * Puts the sprite back inside its bounds after they changed (called by
+   * Scene.relayout on resize). A body is constrained by the physics world -
+   * back on the floor if it stood there; without one the element is clamped.
+   * Override to re-measure anything position-dependent, and call super.
+   */
+  relayout() {
+    if (!this.element) return;
+
+    if (this.body && this.scene?.physics) {
+      const { landed } = this.scene.physics.constrain(this.body);
+      this.syncToBody();
+      if (landed) this.onLand(this.body.ground);
+      return;
+    }
+
+    const { left, right, bottom } = this.getBounds();
+    const { width, height } = this.element.getBoundingClientRect();
+    this.setPosition(
+      Math.max(Math.min(this.x, right - width), left),
+      Math.max(Math.min(this.y, bottom - height), 0),
+    );
+  }
+
   /**
    * Updates the DOM element's position based on x, y properties
    */
@@ -71,6 +214,15 @@ export class Sprite {
     this.updatePosition();
   }
 
+  /**
+   * Plays a sprite sheet clip (see SpriteAnimator.play)
+   * @returns {Promise<boolean>} Resolves false straight away if there's no animator
+   */
+  play(clipName, options) {
+    if (!this.animator) return Promise.resolve(false);
+    return this.animator.play(clipName, options);
+  }
+
   /**
    * Adds an event listener and tracks it for cleanup
    * Like subscribing to events in Unity - always track so you can unsubscribe
@@ -91,9 +243,16 @@ export class Sprite {
 
   /**
    * Sets a timeout and tracks it for cleanup
-   * @returns {number} Timeout ID
+   * In a scene it counts scene time (pauses with the scene).
+   * @returns {number|Object} Handle for clearTimeout()
    */
   setTimeout(callback, delay) {
+    if (this.scene) {
+      const timer = { remaining: delay, callback };
+      this.sceneTimers.add(timer);
+      return timer;
+    }
+
     const id = setTimeout(() => {
       // Remove from tracking once executed
       this.timers = this.timers.filter(t => t !== id);
@@ -103,6 +262,16 @@ export class Sprite {
     return id;
   }
 
+  /**
+   * Cancels a timeout from this.setTimeout()
+   */
+  clearTimeout(handle) {
+    if (this.sceneTimers.delete(handle)) return;
+
+    clearTimeout(handle);
+    this.timers = this.timers.filter(t => t !== handle);
+  }
+
   /**
    * Removes the sprite from DOM and cleans up all resources
    * Like OnDestroy() in Unity - always clean up subscriptions
@@ -122,11 +291,20 @@ export class Sprite {
       clearTimeout(id);
     }
     this.timers = [];
+    this.sceneTimers.clear();
+
+    this.animator?.destroy();
+    this.animator = null;
 
     // Remove from DOM
     if (this.element) {
       this.element.remove();
       this.element = null;
     }
+
+    // Leave the scene (unless it's the scene despawning us, or the id was reused)
+    if (this.scene?.get(this.id) === this) {
+      this.scene.despawn(this.id);
+    }
   }
 }
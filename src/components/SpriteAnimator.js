@@ -0,0 +1,251 @@
+/**
+ * Sprite Animator
+ *
+ * Plays sprite sheet clips on an element by stepping background-position
+ * with requestAnimationFrame - the JS equivalent of an Animator + clips in
+ * Unity. Clips are plain data, so a new sprite only needs a sheet and a
+ * clip table, not new CSS keyframes.
+ *
+ * Sheet (a single row of equally sized frames):
+ *   { url, frameWidth, frameHeight, frameCount }
+ *
+ * Clip:
+ *   {
+ *     from: 2, to: 17,          // 1-based frame range (either order)
+ *     fps: 16,
+ *     loop: false,              // optional - loop until another clip plays
+ *     repeat: 1,                // optional - play the range N times (non-looping)
+ *     events: { 3: 'takeoff' }, // optional - frame number -> event name
+ *   }
+ *
+ * Time comes from update(dt): a Scene calls it every fixed step (through
+ * Sprite.update). Created with autoUpdate, the animator instead runs its
+ * own requestAnimationFrame loop while a clip plays.
+ *
+ * The current frame offset is also exposed as the --sprite-frame CSS
+ * variable (and the sheet as --sprite-sheet), so pseudo-elements such as
+ * masks can follow along.
+ *
+ * In accessibility mode clips don't animate: they jump straight to their
+ * last frame (events still fire, in order) and finish after the same time.
+ */
+
+import { isReducedMotion } from '../systems/Accessibility.js';
+
+export class SpriteAnimator {
+  /**
+   * @param {HTMLElement} element - Element showing the sheet as its background
+   * @param {Object} options
+   * @param {Object} options.sheet - See module comment
+   * @param {Object} options.clips - name -> clip (see module comment)
+   * @param {boolean} options.autoUpdate - Drive itself with requestAnimationFrame
+   */
+  constructor(element, { sheet, clips, autoUpdate = true }) {
+    this.element = element;
+    this.sheet = sheet;
+    this.clips = clips;
+    this.autoUpdate = autoUpdate;
+
+    this.clipName = null;     // Clip currently playing (or last played)
+    this.frame = null;        // Frame number on screen
+    this.playback = null;     // { clip, sequence, elapsed, shown, onEvent } while playing
+    this.frameId = null;      // requestAnimationFrame handle (autoUpdate only)
+    this.lastTime = null;
+    this.resolvePlay = null;  // Settles the pending play() promise
+
+    this.applySheet();
+  }
+
+  /**
+   * Sets the sheet image and frame size on the element
+   */
+  applySheet() {
+    const { url, frameWidth, frameHeight } = this.sheet;
+    const style = this.element.style;
+
+    style.setProperty('--sprite-sheet', `url("${url}")`);
+    style.backgroundImage = `url("${url}")`;
+    style.backgroundRepeat = 'no-repeat';
+    style.width = `${frameWidth}px`;
+    style.height = `${frameHeight}px`;
+  }
+
+  /**
+   * Duration of one pass through a clip, in ms (Infinity if looping)
+   */
+  getDuration(name) {
+    const clip = this.getClip(name);
+    if (clip.loop) return Infinity;
+    return (getSequence(clip).length / clip.fps) * 1000;
+  }
+
+  getClip(name) {
+    const clip = this.clips[name];
+    if (!clip) throw new Error(`Unknown sprite clip: ${name}`);
+    return clip;
+  }
+
+  /**
+   * Plays a clip, interrupting whatever was playing
+   * @param {string} name - Clip name
+   * @param {Object} options
+   * @param {Function} options.onEvent - Called with (eventName, frame) for clip events
+   * @returns {Promise<boolean>} true when a non-looping clip finishes,
+   *   false if interrupted by stop() or another play()
+   */
+  play(name, { onEvent = null } = {}) {
+    const clip = this.getClip(name);
+    const sequence = getSequence(clip);
+
+    this.stop();
+    this.clipName = name;
+
+    return new Promise(resolve => {
+      this.resolvePlay = resolve;
+      this.playback = { clip, sequence, elapsed: 0, shown: -1, onEvent };
+
+      if (isReducedMotion()) {
+        // Pose on the last frame; events still fire, the clip still takes its time
+        this.showFrame(sequence[sequence.length - 1]);
+        sequence.forEach((frame, index) => this.fireEvent(index));
+        this.playback.shown = sequence.length - 1;
+        this.playback.isStill = true;
+      } else {
+        this.advance(0);
+      }
+
+      if (this.autoUpdate) this.startLoop();
+    });
+  }
+
+  /**
+   * Advances the playing clip by dt seconds
+   */
+  update(dt) {
+    if (this.playback) this.advance(dt);
+  }
+
+  /**
+   * Shows the frame for the current time, firing events for every frame
+   * passed on the way (slow frames skip frames, never events)
+   */
+  advance(dt) {
+    const playback = this.playback;
+    const { clip, sequence } = playback;
+
+    playback.elapsed += dt;
+    const step = Math.floor(playback.elapsed * clip.fps);
+
+    if (!clip.loop && step >= sequence.length) {
+      for (let i = playback.shown + 1; i < sequence.length; i++) this.fireEvent(i);
+      if (this.playback !== playback) return;  // A handler played another clip
+      this.showFrame(sequence[sequence.length - 1]);
+      this.finish(true);
+      return;
+    }
+    if (playback.isStill) return;
+
+    const index = clip.loop ? step % sequence.length : step;
+    if (index !== playback.shown) {
+      // Catch up on events (a loop wrapping around counts from 0)
+      for (let i = index < playback.shown ? 0 : playback.shown + 1; i <= index; i++) {
+        this.fireEvent(i);
+      }
+      if (this.playback !== playback) return;
+      this.showFrame(sequence[index]);
+      playback.shown = index;
+    }
+  }
+
+  fireEvent(index) {
+    if (!this.playback) return;  // An earlier event's handler stopped playback
+    const { clip, sequence, onEvent } = this.playback;
+    const event = clip.events?.[sequence[index]];
+    if (event) onEvent?.(event, sequence[index]);
+  }
+
+  /**
+   * Switches between self-driven (requestAnimationFrame) and externally
+   * driven (update(dt) from a Scene) playback
+   */
+  setAutoUpdate(enabled) {
+    this.autoUpdate = enabled;
+    if (enabled && this.playback) {
+      this.startLoop();
+    } else {
+      this.stopLoop();
+    }
+  }
+
+  startLoop() {
+    if (this.frameId) return;
+
+    this.lastTime = null;
+    const tick = (now) => {
+      const dt = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+      this.lastTime = now;
+      this.frameId = null;
+      this.update(dt);
+
+      // Keep going while playing (unless update started a new loop via play())
+      if (this.playback && !this.frameId) {
+        this.frameId = requestAnimationFrame(tick);
+      }
+    };
+    this.frameId = requestAnimationFrame(tick);
+  }
+
+  stopLoop() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Stops playback, holding the current frame
+   * The pending play() promise resolves false.
+   */
+  stop() {
+    this.stopLoop();
+    this.finish(false);
+  }
+
+  finish(completed) {
+    this.playback = null;
+    const resolve = this.resolvePlay;
+    this.resolvePlay = null;
+    resolve?.(completed);
+  }
+
+  /**
+   * Shows a single frame (also used to pose a sprite without a clip)
+   * @param {number} frame - 1-based frame number
+   */
+  showFrame(frame) {
+    this.frame = frame;
+    const offset = `${-(frame - 1) * this.sheet.frameWidth}px`;
+
+    this.element.style.setProperty('--sprite-frame', offset);
+    this.element.style.backgroundPosition = `${offset} 0`;
+  }
+
+  destroy() {
+    this.stop();
+    this.element = null;
+  }
+}
+
+/**
+ * Expands a clip into the list of frame numbers it shows, in order
+ * @returns {number[]}
+ */
+function getSequence({ from, to, repeat = 1 }) {
+  const step = from <= to ? 1 : -1;
+  const pass = [];
+  for (let frame = from; frame !== to + step; frame += step) {
+    pass.push(frame);
+  }
+
+  return Array.from({ length: repeat }, () => pass).flat();
+}
@@ -0,0 +1,1049 @@
+/**
+ * Terminal System
+ *
+ * A modular terminal emulator that can:
+ * - Type text with natural randomness
+ * - Handle multiple lines
+ * - Submit lines (like pressing Enter)
+ * - Play scripts: typing, pauses, deletes, hooks (see src/scripts/)
+ * - Read a line of keyboard input from the visitor (or enter one for them)
+ * - Recall history (arrows, Ctrl+R) and Tab-complete input
+ * - Render rich output: ANSI colors, hyperlinks, images (see utils/format.js)
+ * - Change typing speed, or fast-forward with a click/keypress
+ * - Announce whole lines to screen readers (the typed-out text is aria-hidden)
+ */
+
+import { TYPING_CONFIG, OUTPUT_TYPING_CONFIG } from '../config/animations.js';
+import { getRandomDelay } from '../utils/timing.js';
+import { parseAnsi } from '../utils/format.js';
+import { matchesCondition, interpolate } from '../scripts/conditions.js';
+import { t, onLanguageChange } from '../i18n/index.js';
+
+// Alias for cleaner code
+const config = TYPING_CONFIG;
+
+// Keys that never fast-forward on their own (held for shortcuts)
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// Focusable controls that handle their own keys (links in the output,
+// the accessibility toggle, the rabbit) - typing doesn't go to the prompt
+const CONTROL_SELECTOR = 'a[href], button, input, select, textarea, [role="button"]';
+
+/**
+ * Terminal manages the DOM and provides methods for typing/output
+ *
+ * Class in JS is similar to C# classes - bundles data and methods.
+ * 'this' refers to the instance (like 'this' in Unity MonoBehaviour)
+ */
+export class Terminal {
+  /**
+   * @param {HTMLElement} containerElement
+   * @param {Object} options
+   * @param {CommandHistory} options.commandHistory - Submitted-line history (optional)
+   * @param {number} options.speed - Typing speed multiplier (Infinity = instant)
+   */
+  constructor(containerElement, { commandHistory = null, speed = 1 } = {}) {
+    this.container = containerElement;
+    this.currentLine = null;
+    this.cursor = this.createCursor();
+    this.promptLabel = '';         // Shown before ">" (e.g. current directory)
+
+    // Input state (only used while readLine() is waiting)
+    this.inputBuffer = '';
+    this.inputCaret = 0;          // Index in inputBuffer the cursor sits on
+    this.inputBefore = null;      // Text node left of the cursor
+    this.inputAfter = null;       // Text node right of the cursor
+    this.resolveInput = null;     // Resolves the pending readLine() promise
+    this.recordInput = true;      // Add the submitted line to commandHistory
+    this.acceptEntered = false;   // This readLine() takes enterLine() lines
+    this.pendingLine = null;      // Entered while busy (see enterLine)
+    this.keyHandler = null;
+    this.pasteHandler = null;
+    this.focusHandler = null;
+
+    // History & completion
+    this.commandHistory = commandHistory;  // Data model behind the history DOM
+    this.completer = null;                 // (textBeforeCaret) => { text, candidates }
+    this.searchState = null;               // Ctrl+R state: { query, match, original }
+
+    // Playback speed & skipping
+    this.speed = 1;                // Multiplier on all typing delays (2 = twice as fast)
+    this.isSkipping = false;       // Fast-forwarding until the next readLine()
+    this.pendingWait = null;       // { id, resolve } of the wait() in progress
+    this.setSpeed(speed);
+
+    // Click or keypress while output is playing fast-forwards it.
+    // Registered before any readLine() key handler, so it always runs first -
+    // the Enter that submits a line still sees resolveInput set and is ignored.
+    this.skipHandler = (e) => {
+      if (this.resolveInput) return;
+      if (e.type === 'keydown' && (MODIFIER_KEYS.includes(e.key) || e.ctrlKey || e.metaKey)) return;
+      this.skip();
+    };
+    document.addEventListener('keydown', this.skipHandler);
+    document.addEventListener('click', this.skipHandler);
+
+    // Build DOM structure:
+    // .terminal-wrapper (visual only - hidden from screen readers)
+    //   .terminal-history (submitted lines, grows upward)
+    //   .terminal-active (current line, stays centered)
+    // .terminal-log (screen reader live region - whole lines only)
+    // label + input (real, labeled input that mirrors the typed line)
+    this.wrapper = document.createElement('div');
+    this.wrapper.className = 'terminal-wrapper';
+    // Character-by-character typing is noise to a screen reader
+    this.wrapper.setAttribute('aria-hidden', 'true');
+
+    this.history = document.createElement('div');
+    this.history.className = 'terminal-history';
+
+    this.activeContainer = document.createElement('div');
+    this.activeContainer.className = 'terminal-active';
+
+    // Order matters: with column-reverse, first child appears at bottom
+    this.wrapper.appendChild(this.activeContainer);
+    this.wrapper.appendChild(this.history);
+    this.container.appendChild(this.wrapper);
+
+    // role="log" + aria-live="polite": new lines are read out in order,
+    // without interrupting what the screen reader is currently saying
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'terminal-log visually-hidden';
+    this.liveRegion.setAttribute('role', 'log');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.container.appendChild(this.liveRegion);
+
+    this.input = this.createInput();
+    this.updateLabels();
+    this.removeLanguageListener = onLanguageChange(() => this.updateLabels());
+
+    // Start with a fresh line
+    this.newLine();
+  }
+
+  /**
+   * Creates the blinking cursor element
+   */
+  createCursor() {
+    const cursor = document.createElement('span');
+    cursor.className = 'cursor';
+    cursor.textContent = '█';
+    return cursor;
+  }
+
+  /**
+   * Creates the (visually hidden) labeled input used while reading a line
+   *
+   * The visible line is drawn by renderInput(); this input mirrors it so
+   * assistive tech has a real text field, and lets mobile keyboards and
+   * IMEs type into something (their keydown events carry no character).
+   */
+  createInput() {
+    const id = 'terminal-input';
+
+    const label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.htmlFor = id;
+
+    const input = document.createElement('input');
+    input.id = id;
+    input.type = 'text';
+    input.className = 'terminal-input visually-hidden';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('autocapitalize', 'off');
+    input.setAttribute('autocorrect', 'off');
+    input.disabled = true;  // Enabled only while readLine() waits
+
+    // Text that arrived without a usable keydown (virtual keyboards, IME)
+    input.addEventListener('input', () => {
+      if (!this.resolveInput) return;
+      this.inputBuffer = input.value;
+      this.inputCaret = input.selectionStart ?? input.value.length;
+      this.renderInput();
+    });
+
+    this.container.appendChild(label);
+    this.container.appendChild(input);
+    return input;
+  }
+
+  /**
+   * (Re)labels the input and output for screen readers, in the current language
+   */
+  updateLabels() {
+    this.liveRegion.setAttribute('aria-label', t('terminal.outputLabel'));
+    const label = this.input.labels?.[0];
+    if (label) label.textContent = t('terminal.inputLabel');
+  }
+
+  /**
+   * Reads a finished line out to screen readers
+   * @param {string} text
+   */
+  announce(text) {
+    if (!text.trim()) return;
+
+    const entry = document.createElement('p');
+    entry.textContent = text;
+    this.liveRegion.appendChild(entry);
+  }
+
+  /**
+   * Plain text of a line for screen readers (images read as their alt text)
+   */
+  getLineText(line) {
+    let text = '';
+    for (const node of line.childNodes) {
+      if (node === this.cursor || node.classList?.contains('prompt')) continue;
+      if (node.nodeName === 'IMG' || node.querySelector?.('img')) {
+        const img = node.nodeName === 'IMG' ? node : node.querySelector('img');
+        text += img.alt ? t('terminal.image', { alt: img.alt }) : '';
+      } else {
+        text += node.textContent;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Creates the prompt element (the ">" symbol, after the prompt label)
+   */
+  createPrompt() {
+    const prompt = document.createElement('span');
+    prompt.className = 'prompt';
+    prompt.textContent = `${this.promptLabel}>`;
+    return prompt;
+  }
+
+  /**
+   * Sets the text shown before ">" and updates the active line's prompt
+   * @param {string} label - e.g. "~/projects" (empty for a bare ">")
+   */
+  setPrompt(label) {
+    this.promptLabel = label;
+
+    const prompt = this.currentLine?.querySelector('.prompt');
+    if (prompt) {
+      prompt.textContent = `${label}>`;
+    }
+  }
+
+  /**
+   * Creates a new line in the active container
+   */
+  newLine() {
+    const line = document.createElement('div');
+    line.className = 'terminal-line';
+
+    // Add prompt, then cursor
+    line.appendChild(this.createPrompt());
+    line.appendChild(this.cursor);
+
+    // Clear active container and add new line
+    this.activeContainer.innerHTML = '';
+    this.activeContainer.appendChild(line);
+
+    this.currentLine = line;
+  }
+
+  /**
+   * Adds a character to the current line (before cursor)
+   *
+   * insertBefore(newNode, referenceNode) - inserts newNode before referenceNode
+   * document.createTextNode() - creates a plain text node (not an element)
+   *
+   * @param {string} char
+   * @param {HTMLElement} target - Styled span/link to type into (default: the line itself)
+   */
+  addChar(char, target = null) {
+    const textNode = document.createTextNode(char);
+    if (target) {
+      target.appendChild(textNode);
+    } else {
+      this.currentLine.insertBefore(textNode, this.cursor);
+    }
+  }
+
+  /**
+   * Creates the element a styled run of text is typed into
+   * Links become <a>, colored/bold runs become <span> with ansi-* classes.
+   * @param {{ classes: string[], href: string|null }} segment - From parseAnsi()
+   * @returns {HTMLElement|null} null for plain text (typed straight into the line)
+   */
+  createSegmentElement({ classes, href }) {
+    if (!href && classes.length === 0) return null;
+
+    const el = document.createElement(href ? 'a' : 'span');
+    el.className = classes.join(' ');
+
+    if (href) {
+      el.classList.add('terminal-link');
+      el.href = href;
+      // External links open in a new tab so the terminal session survives
+      if (/^https?:/.test(href)) {
+        el.target = '_blank';
+        el.rel = 'noopener noreferrer';
+      }
+    }
+
+    return el;
+  }
+
+  /**
+   * Submits current line and starts a new one
+   */
+  submitLine() {
+    // Replace prompt with space to maintain alignment
+    const oldPrompt = this.currentLine.querySelector('.prompt');
+    if (oldPrompt) {
+      oldPrompt.textContent = ' ';
+    }
+
+    // Remove cursor from current line before moving to history
+    this.cursor.remove();
+
+    this.announce(this.getLineText(this.currentLine));
+
+    // Move line to history (append so newest appears at bottom, closest to active)
+    this.history.appendChild(this.currentLine);
+
+    // Create new active line
+    this.newLine();
+  }
+
+  /**
+   * Adds a finished line straight to history, leaving the active line alone
+   * (e.g. Tab completion candidates shown while the visitor is typing)
+   */
+  addHistoryLine(text) {
+    const line = document.createElement('div');
+    line.className = 'terminal-line';
+
+    const prompt = this.createPrompt();
+    prompt.textContent = ' ';
+
+    line.appendChild(prompt);
+    line.appendChild(document.createTextNode(text));
+    this.history.appendChild(line);
+
+    this.announce(text);
+  }
+
+  /**
+   * Clears all submitted lines and starts a fresh active line
+   */
+  clear() {
+    this.history.innerHTML = '';
+    this.liveRegion.innerHTML = '';
+    this.newLine();
+  }
+
+  /**
+   * Types a string with natural timing
+   * ANSI color codes and OSC 8 links are rendered as styled spans/links
+   * @param {string} text
+   * @param {Object} timing - Typing timing (defaults to TYPING_CONFIG)
+   */
+  async type(text, timing = config) {
+    // Composed form: "é" is one character, not an "e" plus an accent typed after it
+    const segments = parseAnsi(text.normalize('NFC'));
+    const plainText = segments.map(segment => segment.text).join('');
+    let index = 0;  // Position in plainText (for looking ahead across segments)
+
+    for (const segment of segments) {
+      const target = this.createSegmentElement(segment);
+      if (target) {
+        this.currentLine.insertBefore(target, this.cursor);
+      }
+
+      // Instant/fast-forward: the whole run at once, no per-character delays
+      if (this.isInstant) {
+        this.addChar(segment.text, target);
+        index += segment.text.length;
+        continue;
+      }
+
+      for (const char of segment.text) {
+        const nextChar = plainText[index + char.length];
+        index += char.length;
+
+        // Pause before space
+        if (char === ' ' && timing.spacePause > 0) {
+          await this.wait(getRandomDelay(timing.spacePause, timing.variance));
+        }
+
+        // Accented letters take two keystrokes (dead key, then the letter)
+        if (timing.accentPause > 0 && char.normalize('NFD').length > 1) {
+          await this.wait(getRandomDelay(timing.accentPause, timing.variance));
+        }
+
+        // Type character
+        this.addChar(char, target);
+
+        // Base delay
+        await this.wait(getRandomDelay(timing.baseSpeed, timing.variance));
+
+        // Pause after word (before space)
+        if (nextChar === ' ' && timing.spacePause > 0) {
+          await this.wait(getRandomDelay(timing.spacePause * 0.5, timing.variance));
+        }
+      }
+    }
+  }
+
+  /**
+   * Types text then submits the line (like typing + Enter)
+   */
+  async typeLine(text) {
+    await this.type(text);
+    await this.wait(getRandomDelay(config.linePause, config.variance));
+    this.submitLine();
+    await this.wait(getRandomDelay(config.linePause, config.variance));
+  }
+
+  /**
+   * Prints command output - each line is typed quickly, then submitted
+   * @param {string|Object|(string|Object)[]} output - Text (may contain newlines
+   *   and escape codes), a block like image(), or an array of those
+   */
+  async print(output) {
+    const items = Array.isArray(output) ? output : [output];
+
+    for (const item of items) {
+      if (item?.type === 'image') {
+        await this.printImage(item);
+        continue;
+      }
+
+      for (const line of String(item).split('\n')) {
+        await this.type(line, OUTPUT_TYPING_CONFIG);
+        this.submitLine();
+        await this.wait(OUTPUT_TYPING_CONFIG.linePause);
+      }
+    }
+  }
+
+  /**
+   * Prints an image thumbnail on its own line
+   * @param {{ src: string, alt: string, href: string|null }} block - From image()
+   */
+  async printImage({ src, alt, href }) {
+    const img = document.createElement('img');
+    img.className = 'terminal-image';
+    img.src = src;
+    img.alt = alt;
+    img.loading = 'lazy';
+
+    const target = this.createSegmentElement({ classes: [], href });
+    if (target) {
+      target.appendChild(img);
+    }
+    this.currentLine.insertBefore(target ?? img, this.cursor);
+    this.submitLine();
+
+    await this.wait(OUTPUT_TYPING_CONFIG.linePause);
+  }
+
+  /**
+   * Backspaces characters before the cursor with typing rhythm
+   * Works across styled spans/links, never deletes the prompt.
+   * @param {number|'all'} count - Characters to delete ('all' = whole line)
+   */
+  async deleteChars(count) {
+    let remaining = count === 'all' ? Infinity : count;
+
+    while (remaining > 0) {
+      // Last node before the cursor that still holds text (skipping the prompt)
+      let node = this.cursor.previousSibling;
+      while (node && !node.classList?.contains('prompt') && node.textContent === '') {
+        const empty = node;
+        node = node.previousSibling;
+        empty.remove();
+      }
+      if (!node || node.classList?.contains('prompt')) break;
+
+      // Styled runs: delete from their last text node
+      const textNode = node.nodeType === Node.TEXT_NODE ? node : node.lastChild;
+      textNode.nodeValue = textNode.nodeValue.slice(0, -1);
+      if (textNode.nodeValue === '') textNode.remove();
+      if (node.textContent === '') node.remove();
+
+      remaining--;
+      await this.wait(getRandomDelay(config.baseSpeed * 0.6, config.variance));
+    }
+  }
+
+  /**
+   * Plays a script (see src/scripts/index.js for the step format)
+   *
+   * The original { text, submit } steps still work as-is.
+   * @param {Object[]|{ steps: Object[] }} script - Steps, or a script object
+   * @param {Object} options
+   * @param {Object} options.vars - Values for {placeholders} and "when" conditions
+   * @param {Object} options.hooks - name -> async (args, terminal) => void
+   * @param {Function} options.translate - key -> text, for "message" steps
+   */
+  async run(script, { vars = {}, hooks = {}, translate = (key) => key } = {}) {
+    const steps = Array.isArray(script) ? script : script.steps;
+
+    for (const step of steps) {
+      if (!matchesCondition(step.when, vars)) continue;
+
+      const source = step.message !== undefined ? translate(step.message) : step.text;
+      if (source !== undefined) {
+        const text = interpolate(source, vars);
+        if (step.submit) {
+          await this.typeLine(text);
+        } else {
+          await this.type(text);
+        }
+      } else if (step.submit) {
+        this.submitLine();
+      }
+
+      if (step.pause !== undefined) {
+        await this.wait(step.pause);
+      }
+      if (step.delete !== undefined) {
+        await this.deleteChars(step.delete);
+      }
+      if (step.clear) {
+        this.clear();
+      }
+      if (step.prompt !== undefined) {
+        this.setPrompt(step.prompt);
+      }
+      if (step.hook) {
+        const hook = hooks[step.hook];
+        if (hook) {
+          await hook(step.args ?? {}, this);
+        } else {
+          console.warn(`Script hook not found: ${step.hook}`);
+        }
+      }
+    }
+  }
+
+  // ============================================
+  // Playback Speed & Skipping
+  // ============================================
+
+  /**
+   * Sets the typing speed multiplier
+   * All typing delays are divided by it: 2 = twice as fast, Infinity = instant
+   * @param {number} speed
+   */
+  setSpeed(speed) {
+    const { minSpeed, maxSpeed } = TYPING_CONFIG;
+    this.speed = speed === Infinity
+      ? Infinity
+      : Math.min(Math.max(speed, minSpeed), maxSpeed);
+  }
+
+  /**
+   * True when text should appear without typing (instant mode or fast-forward)
+   */
+  get isInstant() {
+    return this.isSkipping || this.speed === Infinity;
+  }
+
+  /**
+   * Fast-forwards everything until the terminal next waits for input
+   * Cuts the current wait() short, and later waits return immediately.
+   */
+  skip() {
+    this.isSkipping = true;
+
+    if (this.pendingWait) {
+      clearTimeout(this.pendingWait.id);
+      this.pendingWait.resolve();
+      this.pendingWait = null;
+    }
+  }
+
+  /**
+   * Waits ms (scaled by speed) - use instead of sleep() for anything that
+   * should fast-forward when the visitor skips
+   * Like WaitForSeconds affected by Time.timeScale in Unity.
+   */
+  wait(ms) {
+    const scaled = ms / this.speed;
+    if (this.isInstant || scaled <= 0) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const id = setTimeout(() => {
+        this.pendingWait = null;
+        resolve();
+      }, scaled);
+      this.pendingWait = { id, resolve };
+    });
+  }
+
+  // ============================================
+  // Keyboard Input
+  // ============================================
+
+  /**
+   * Waits for the visitor to type a line and press Enter
+   * Like Console.ReadLine() in C# - but async, so the page keeps running
+   *
+   * The typed line is moved to history on Enter, same as submitLine().
+   * @param {Object} options
+   * @param {boolean} options.record - Add the line to the command history
+   *   (false for answers to a question, like a yes/no confirmation)
+   * @param {boolean} options.acceptEntered - Take lines from enterLine()
+   *   too. Only for the command prompt - a command asking a question
+   *   shouldn't get a replayed command as its answer.
+   * @returns {Promise<string>} The submitted text
+   */
+  readLine({ record = true, acceptEntered = false } = {}) {
+    // Only one reader at a time - a second call would steal the keyboard
+    if (this.resolveInput) {
+      return Promise.reject(new Error('Terminal is already reading input'));
+    }
+
+    // Back to the visitor - stop fast-forwarding
+    this.isSkipping = false;
+
+    this.inputBuffer = '';
+    this.inputCaret = 0;
+    this.recordInput = record;
+    this.acceptEntered = acceptEntered;
+
+    // Text nodes on both sides of the cursor, updated in place on every key
+    this.inputBefore = document.createTextNode('');
+    this.inputAfter = document.createTextNode('');
+    this.currentLine.insertBefore(this.inputBefore, this.cursor);
+    this.currentLine.appendChild(this.inputAfter);
+
+    this.showCursor();
+    this.enableKeyboard();
+
+    this.input.value = '';
+    this.input.disabled = false;
+    this.input.readOnly = false;
+    this.focusInput();
+
+    const line = new Promise(resolve => {
+      this.resolveInput = resolve;
+    });
+
+    if (acceptEntered && this.pendingLine !== null) {
+      this.submitPendingLine();
+    }
+    return line;
+  }
+
+  /**
+   * Enters a line at the prompt as if the visitor had typed it and
+   * pressed Enter (e.g. the browser's Back button replaying a page).
+   * While the terminal is busy (intro, a running command, or a command
+   * reading its own answer) the line waits for the next readLine() that
+   * accepts entered lines - only the latest one is kept.
+   * @param {string} text
+   */
+  enterLine(text) {
+    this.pendingLine = text;
+    if (this.resolveInput && this.acceptEntered) {
+      this.submitPendingLine();
+    }
+  }
+
+  submitPendingLine() {
+    const text = this.pendingLine;
+    this.pendingLine = null;
+    this.searchState = null;
+    this.setInput(text);
+    this.renderInput();
+    this.submitInput();
+  }
+
+  /**
+   * Focuses the hidden input (brings up the keyboard on phones)
+   * Skipped while the visitor is selecting text, so copying still works.
+   */
+  focusInput() {
+    if (window.getSelection()?.toString()) return;
+    this.input.focus({ preventScroll: true });
+  }
+
+  /**
+   * Attaches keyboard/paste/tap listeners (stored for cleanup)
+   */
+  enableKeyboard() {
+    if (this.keyHandler) return;
+
+    this.keyHandler = (e) => this.handleKey(e);
+    this.focusHandler = () => this.focusInput();
+    this.pasteHandler = (e) => {
+      const text = e.clipboardData?.getData('text') ?? '';
+      // Single-line terminal: flatten newlines/tabs into spaces
+      this.insertText(text.replace(/\s+/g, ' '));
+      e.preventDefault();
+    };
+
+    document.addEventListener('keydown', this.keyHandler);
+    document.addEventListener('paste', this.pasteHandler);
+    this.container.addEventListener('click', this.focusHandler);
+  }
+
+  /**
+   * Removes keyboard/paste listeners
+   */
+  disableKeyboard() {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler);
+      this.keyHandler = null;
+    }
+    if (this.pasteHandler) {
+      document.removeEventListener('paste', this.pasteHandler);
+      this.pasteHandler = null;
+    }
+    if (this.focusHandler) {
+      this.container.removeEventListener('click', this.focusHandler);
+      this.focusHandler = null;
+    }
+  }
+
+  /**
+   * Routes a keydown event to the matching edit action
+   * @param {KeyboardEvent} e
+   */
+  handleKey(e) {
+    // Enter on a focused link or button is theirs, not the prompt's
+    if (e.target !== this.input && e.target.closest?.(CONTROL_SELECTOR)) return;
+
+    // Ctrl+R: start (or step back through) reverse history search
+    // (lowercased - Caps Lock or Shift make the key 'R')
+    if (e.ctrlKey && e.key.toLowerCase() === 'r' && this.commandHistory) {
+      e.preventDefault();
+      this.reverseSearch();
+      return;
+    }
+
+    if (this.searchState) {
+      this.handleSearchKey(e);
+      return;
+    }
+
+    // Leave other browser shortcuts (Ctrl+C, Cmd+R, ...) alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    switch (e.key) {
+      case 'Enter':
+        this.submitInput();
+        break;
+      case 'Backspace':
+        if (this.inputCaret > 0) {
+          this.inputBuffer =
+            this.inputBuffer.slice(0, this.inputCaret - 1) +
+            this.inputBuffer.slice(this.inputCaret);
+          this.inputCaret--;
+        }
+        break;
+      case 'Delete':
+        this.inputBuffer =
+          this.inputBuffer.slice(0, this.inputCaret) +
+          this.inputBuffer.slice(this.inputCaret + 1);
+        break;
+      case 'ArrowLeft':
+        this.inputCaret = Math.max(0, this.inputCaret - 1);
+        break;
+      case 'ArrowRight':
+        this.inputCaret = Math.min(this.inputBuffer.length, this.inputCaret + 1);
+        break;
+      case 'ArrowUp':
+        this.setInput(this.commandHistory?.previous(this.inputBuffer));
+        break;
+      case 'ArrowDown':
+        this.setInput(this.commandHistory?.next());
+        break;
+      case 'Home':
+        this.inputCaret = 0;
+        break;
+      case 'End':
+        this.inputCaret = this.inputBuffer.length;
+        break;
+      case 'Tab':
+        this.complete();
+        break;
+      default:
+        // Printable characters have a single-character key name ("a", " ", "é")
+        if (e.key.length !== 1) return;
+        this.insertText(e.key);
+        break;
+    }
+
+    // Stop Space from scrolling and Backspace from navigating back
+    e.preventDefault();
+    this.renderInput();
+  }
+
+  /**
+   * Replaces the whole input line, caret at the end
+   * @param {string|null|undefined} text - Ignored if null/undefined (nothing to recall)
+   */
+  setInput(text) {
+    if (text === null || text === undefined) return;
+    this.inputBuffer = text;
+    this.inputCaret = text.length;
+  }
+
+  /**
+   * Sets the Tab completion function
+   * @param {(text: string) => { text: string, candidates: string[] }} completer
+   */
+  setCompleter(completer) {
+    this.completer = completer;
+  }
+
+  /**
+   * Completes the word left of the caret
+   * Several matches are listed on a line above the input
+   */
+  complete() {
+    if (!this.completer) return;
+
+    const before = this.inputBuffer.slice(0, this.inputCaret);
+    const after = this.inputBuffer.slice(this.inputCaret);
+    const { text, candidates } = this.completer(before);
+
+    this.inputBuffer = text + after;
+    this.inputCaret = text.length;
+
+    if (candidates.length > 1) {
+      this.addHistoryLine(candidates.join('  '));
+    }
+  }
+
+  // ============================================
+  // Reverse Search (Ctrl+R)
+  // ============================================
+
+  /**
+   * Enters search mode, or jumps to the next older match if already searching
+   */
+  reverseSearch() {
+    if (!this.searchState) {
+      this.searchState = { query: '', match: null, original: this.inputBuffer };
+    } else if (this.searchState.query) {
+      const { query, match } = this.searchState;
+      const older = this.commandHistory.search(query, match?.index);
+      if (older) this.searchState.match = older;
+    }
+    this.renderInput();
+  }
+
+  /**
+   * Handles keys while searching: typing edits the query, Enter runs
+   * the match, Escape/Ctrl+G cancels, movement keys accept for editing
+   * @param {KeyboardEvent} e
+   */
+  handleSearchKey(e) {
+    const state = this.searchState;
+
+    if (e.key === 'Escape' || (e.ctrlKey && e.key.toLowerCase() === 'g')) {
+      this.searchState = null;
+      this.setInput(state.original);
+    } else if (e.key === 'Enter') {
+      this.acceptSearch();
+      this.submitInput();
+      e.preventDefault();
+      return;
+    } else if (e.key === 'Backspace') {
+      state.query = state.query.slice(0, -1);
+      state.match = state.query ? this.commandHistory.search(state.query) : null;
+    } else if (e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    } else if (e.key.length === 1) {
+      state.query += e.key;
+      state.match = this.commandHistory.search(state.query);
+    } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Tab'].includes(e.key)) {
+      this.acceptSearch();
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    this.renderInput();
+  }
+
+  /**
+   * Leaves search mode, keeping the current match as the input line
+   */
+  acceptSearch() {
+    if (!this.searchState) return;
+    const { match, original } = this.searchState;
+    this.searchState = null;
+    this.setInput(match ? match.entry : original);
+  }
+
+  /**
+   * Inserts text at the caret
+   */
+  insertText(text) {
+    if (!text) return;
+    this.inputBuffer =
+      this.inputBuffer.slice(0, this.inputCaret) +
+      text +
+      this.inputBuffer.slice(this.inputCaret);
+    this.inputCaret += text.length;
+    this.renderInput();
+  }
+
+  /**
+   * Syncs the input text nodes and cursor with inputBuffer/inputCaret
+   *
+   * When the caret is inside the text the cursor sits ON a character
+   * (shown inverted), like a real block cursor.
+   * During Ctrl+R the prompt shows the query and the line shows the match.
+   */
+  renderInput() {
+    if (!this.inputBefore) return;
+
+    let text = this.inputBuffer;
+    let caret = this.inputCaret;
+
+    const prompt = this.currentLine.querySelector('.prompt');
+    if (this.searchState) {
+      const { query, match } = this.searchState;
+      prompt.textContent = t(query && !match ? 'terminal.searchFailed' : 'terminal.search', { query });
+      text = match?.entry ?? '';
+      caret = text.length;
+    } else {
+      prompt.textContent = `${this.promptLabel}>`;
+    }
+
+    const underCaret = text[caret];
+
+    this.inputBefore.nodeValue = text.slice(0, caret);
+    this.inputAfter.nodeValue = text.slice(caret + 1);
+
+    // Mirror into the real input for assistive tech
+    if (this.input.value !== text) {
+      this.input.value = text;
+    }
+    this.input.setSelectionRange?.(caret, caret);
+
+    if (underCaret === undefined) {
+      this.cursor.textContent = '█';
+      this.cursor.classList.remove('on-char');
+    } else {
+      this.cursor.textContent = underCaret;
+      this.cursor.classList.add('on-char');
+    }
+  }
+
+  /**
+   * Finishes the pending readLine(): moves the line to history and resolves
+   */
+  submitInput() {
+    const resolve = this.resolveInput;
+    if (!resolve) return;
+
+    const text = this.inputBuffer;
+    if (this.recordInput) {
+      this.commandHistory?.add(text);
+    }
+
+    // Collapse the split text nodes into one plain line of text
+    this.inputBefore.nodeValue = text;
+    this.inputAfter.remove();
+    this.cursor.textContent = '█';
+    this.cursor.classList.remove('on-char');
+
+    this.inputBefore = null;
+    this.inputAfter = null;
+    this.resolveInput = null;
+    this.disableKeyboard();
+    // Stays focused (keyboard stays up on phones) but ignores typing until the next readLine()
+    this.input.value = '';
+    this.input.readOnly = true;
+
+    this.submitLine();
+    resolve(text);
+  }
+
+  /**
+   * Gets cursor position for spawning elements relative to cursor
+   * @returns {{ x: number, y: number }}
+   */
+  getCursorPosition() {
+    const rect = this.cursor.getBoundingClientRect();
+    return {
+      x: rect.left,
+      y: rect.bottom,
+    };
+  }
+
+  /**
+   * On-screen text of each line, as platforms for sprite physics
+   * Only the text's own width counts (not the full-width line box).
+   * @returns {Array<{ left: number, right: number, top: number, element: HTMLElement }>}
+   */
+  getLineRects() {
+    const lines = [this.currentLine, ...[...this.history.children].reverse()];
+    const range = document.createRange();
+    const rects = [];
+
+    // Newest first - history scrolls up, so stop at the first line above the viewport
+    for (const line of lines) {
+      if (!line) continue;
+      if (!line.textContent.trim() && !line.querySelector('img')) continue;
+
+      range.selectNodeContents(line);
+      const rect = range.getBoundingClientRect();
+      if (rect.bottom < 0) break;
+      if (rect.top > window.innerHeight || rect.width === 0) continue;
+
+      rects.push({ left: rect.left, right: rect.right, top: rect.top, element: line });
+    }
+
+    return rects;
+  }
+
+  /**
+   * Re-anchors the active line in the middle of the visible area (called
+   * on resize). On phones the on-screen keyboard covers the bottom of the
+   * page without resizing it - the line moves up to stay in view.
+   * @param {{ top: number, height: number }} visible - Visible area, viewport px
+   */
+  reflow({ top, height }) {
+    const anchor = top + height / 2 - this.container.getBoundingClientRect().top;
+    this.container.style.setProperty('--terminal-anchor', `${Math.round(anchor)}px`);
+  }
+
+  /**
+   * Hides the terminal cursor (e.g., after spawning a sprite)
+   */
+  hideCursor() {
+    this.cursor.style.display = 'none';
+  }
+
+  /**
+   * Shows the terminal cursor
+   */
+  showCursor() {
+    this.cursor.style.display = '';
+  }
+
+  /**
+   * Cleans up terminal DOM elements
+   */
+  destroy() {
+    this.disableKeyboard();
+    document.removeEventListener('keydown', this.skipHandler);
+    document.removeEventListener('click', this.skipHandler);
+    this.skip();  // Release any pending wait()
+    this.resolveInput = null;
+    this.removeLanguageListener();
+
+    if (this.wrapper) {
+      this.wrapper.remove();
+    }
+    this.liveRegion.remove();
+    this.input.labels?.[0]?.remove();
+    this.input.remove();
+  }
+}
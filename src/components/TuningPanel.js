@@ -0,0 +1,281 @@
+/**
+ * CRT Tuning Panel
+ *
+ * In-page debug panel for dialing in the CRT look: a slider per tunable
+ * CRT_CONFIG / RABBIT_CONFIG value, presets (built in and saved), reset
+ * and a JSON export to paste back into the config.
+ *
+ * Opens with the `crt` command or the hidden shortcut (Alt+Shift+C, see
+ * config/tuning.js). Changes apply live through the Tuning system.
+ *
+ * Keys and clicks inside the panel stay inside it - the terminal listens
+ * on document and would otherwise type them (or fast-forward output).
+ *
+ * Values held by a higher config layer (URL params, accessibility mode)
+ * get disabled sliders and a note, since moving them would show nothing.
+ */
+
+import { TUNING_CONFIG } from '../config/tuning.js';
+import { t } from '../i18n/index.js';
+
+export class TuningPanel {
+  /**
+   * @param {Tuning} tuning - Values, presets and export
+   */
+  constructor(tuning) {
+    this.tuning = tuning;
+
+    this.element = null;
+    this.inputs = new Map();   // 'section:key' -> { input, output, field }
+    this.presetSelect = null;
+    this.presetName = null;
+    this.exportBox = null;
+    this.lockedNote = null;
+    this.removeListener = null;
+    // Accessibility mode locks and unlocks values while the panel is open
+    this.a11yObserver = new MutationObserver(() => this.refresh());
+
+    this.shortcutHandler = (e) => {
+      const { code, altKey, shiftKey } = TUNING_CONFIG.shortcut;
+      if (e.code === code && e.altKey === altKey && e.shiftKey === shiftKey) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+  }
+
+  get isOpen() {
+    return !!this.element && !this.element.hidden;
+  }
+
+  /**
+   * Listens for the hidden shortcut
+   */
+  enableShortcut() {
+    document.addEventListener('keydown', this.shortcutHandler);
+  }
+
+  open() {
+    if (!this.element) this.createElement();
+
+    this.refresh();
+    this.element.hidden = false;
+    this.element.querySelector('input, select, button')?.focus();
+  }
+
+  close() {
+    if (!this.element) return;
+    this.element.hidden = true;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Builds the panel (once, on first open)
+   */
+  createElement() {
+    const panel = document.createElement('aside');
+    panel.className = 'crt-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', t('crtPanel.title'));
+    panel.hidden = true;
+
+    // Keep keys, clicks and pastes away from the terminal
+    const stop = (e) => e.stopPropagation();
+    panel.addEventListener('click', stop);
+    panel.addEventListener('paste', stop);
+    panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      this.shortcutHandler(e);
+      if (e.key === 'Escape') this.close();
+    });
+
+    const header = document.createElement('header');
+    header.className = 'crt-panel-header';
+    header.textContent = t('crtPanel.title');
+    header.appendChild(this.createButton('×', () => this.close(), t('crtPanel.close')));
+    panel.appendChild(header);
+
+    this.lockedNote = document.createElement('p');
+    this.lockedNote.className = 'crt-panel-note';
+    this.lockedNote.textContent = t('crtPanel.locked');
+    panel.appendChild(this.lockedNote);
+
+    panel.appendChild(this.createPresetControls());
+
+    for (const [section, { label, fields }] of Object.entries(TUNING_CONFIG.sections)) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = label;
+      fieldset.appendChild(legend);
+
+      for (const field of fields) {
+        fieldset.appendChild(this.createSlider(section, field));
+      }
+      panel.appendChild(fieldset);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'crt-panel-row';
+    actions.appendChild(this.createButton(t('crtPanel.reset'), () => this.tuning.reset()));
+    actions.appendChild(this.createButton(t('crtPanel.export'), () => this.showExport()));
+    panel.appendChild(actions);
+
+    this.exportBox = document.createElement('textarea');
+    this.exportBox.className = 'crt-panel-export';
+    this.exportBox.readOnly = true;
+    this.exportBox.hidden = true;
+    this.exportBox.setAttribute('aria-label', t('crtPanel.exported'));
+    panel.appendChild(this.exportBox);
+
+    document.body.appendChild(panel);
+    this.element = panel;
+    this.removeListener = this.tuning.onChange(() => this.refresh());
+    this.a11yObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-a11y'],
+    });
+  }
+
+  /**
+   * Preset picker (applies on change) plus save/delete
+   */
+  createPresetControls() {
+    const container = document.createElement('div');
+    container.className = 'crt-panel-presets';
+
+    const pickRow = document.createElement('div');
+    pickRow.className = 'crt-panel-row';
+
+    this.presetSelect = document.createElement('select');
+    this.presetSelect.setAttribute('aria-label', t('crtPanel.preset'));
+    this.presetSelect.addEventListener('change', () => {
+      if (this.presetSelect.value) this.tuning.applyPreset(this.presetSelect.value);
+    });
+    pickRow.appendChild(this.presetSelect);
+    pickRow.appendChild(this.createButton(t('crtPanel.delete'), () => {
+      this.tuning.deletePreset(this.presetSelect.value);
+    }));
+
+    const saveRow = document.createElement('form');
+    saveRow.className = 'crt-panel-row';
+    this.presetName = document.createElement('input');
+    this.presetName.type = 'text';
+    this.presetName.placeholder = t('crtPanel.presetName');
+    this.presetName.setAttribute('aria-label', t('crtPanel.newPresetName'));
+    saveRow.appendChild(this.presetName);
+
+    const saveButton = this.createButton(t('crtPanel.save'), null);
+    saveButton.type = 'submit';
+    saveRow.appendChild(saveButton);
+    saveRow.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.tuning.savePreset(this.presetName.value)) {
+        this.presetSelect.value = this.presetName.value.trim().toLowerCase();
+        this.presetName.value = '';
+      }
+    });
+
+    container.appendChild(pickRow);
+    container.appendChild(saveRow);
+    return container;
+  }
+
+  /**
+   * One labeled range input with its current value
+   */
+  createSlider(section, field) {
+    const id = `crt-tune-${section}-${field.key.replace('.', '-')}`;
+
+    const row = document.createElement('div');
+    row.className = 'crt-panel-field';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.key;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = id;
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.addEventListener('input', () => {
+      this.tuning.set(section, field.key, parseFloat(input.value));
+    });
+
+    const output = document.createElement('output');
+    output.htmlFor = id;
+
+    row.append(label, input, output);
+    this.inputs.set(`${section}:${field.key}`, { input, output, field });
+    return row;
+  }
+
+  createButton(text, onClick, label = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    if (label) button.setAttribute('aria-label', label);
+    if (onClick) button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Syncs sliders and the preset list with the current values
+   */
+  refresh() {
+    if (!this.element) return;
+
+    let anyLocked = false;
+    for (const [id, { input, output, field }] of this.inputs) {
+      const [section] = id.split(':');
+      const value = this.tuning.get(section, field.key);
+      input.value = value;
+      input.disabled = this.tuning.isLocked(section, field.key);
+      output.textContent = `${value}${field.unit ?? ''}`;
+      anyLocked ||= input.disabled;
+    }
+    this.lockedNote.hidden = !anyLocked;
+
+    const selected = this.presetSelect.value;
+    this.presetSelect.replaceChildren(new Option(t('crtPanel.pickPreset'), ''));
+    for (const { name, builtIn } of this.tuning.listPresets()) {
+      this.presetSelect.appendChild(new Option(builtIn ? name : `${name} ${t('crt.savedTag')}`, name));
+    }
+    this.presetSelect.value = this.tuning.listPresets().some(p => p.name === selected) ? selected : '';
+
+    if (!this.exportBox.hidden) {
+      this.exportBox.value = this.tuning.exportJSON();
+    }
+  }
+
+  /**
+   * Shows the JSON snippet and copies it to the clipboard if allowed
+   */
+  showExport() {
+    const json = this.tuning.exportJSON();
+    this.exportBox.value = json;
+    this.exportBox.hidden = false;
+    this.exportBox.select();
+
+    navigator.clipboard?.writeText(json).catch(() => {
+      // Not allowed (permissions, insecure context) - it's selected in the box
+    });
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this.shortcutHandler);
+    this.removeListener?.();
+    this.a11yObserver.disconnect();
+    this.element?.remove();
+    this.element = null;
+    this.inputs.clear();
+  }
+}
@@ -8,12 +8,29 @@
  * CSS custom properties set by JavaScript.
  */
 
+import rabbitSpritesheetUrl from '../assets/spritesheets/RabbitAnimation_V1.png';
+
 // Terminal typing animation
 export const TYPING_CONFIG = {
   baseSpeed: 90,       // Base ms per character
   variance: 0.33,       // ±35% random variation
   spacePause: 130,      // Extra pause around spaces (ms)
+  accentPause: 70,      // Extra pause before accented letters - é, ñ take a dead key first (ms)
   linePause: 500,       // Pause after submitting a line (ms)
+
+  // Speed multiplier limits (`speed` command / ?speed= param)
+  minSpeed: 0.25,       // 4x slower
+  maxSpeed: 20,         // 20x faster (beyond this use "instant")
+};
+
+// Command output typing - much faster than the scripted intro,
+// so long listings don't keep the visitor waiting
+export const OUTPUT_TYPING_CONFIG = {
+  baseSpeed: 8,         // ms per character
+  variance: 0.33,
+  spacePause: 0,
+  accentPause: 0,
+  linePause: 40,        // Pause after each output line (ms)
 };
 
 // Rabbit sprite animation
@@ -22,38 +39,98 @@ export const RABBIT_CONFIG = {
   width: 32,
   height: 64,
   scale: 4,
-  frameCount: 17,
 
-  // Animation timing (must match CSS keyframe durations)
-  spawnDuration: 750,   // ms - matches CSS rabbit-spawn-drop
-  jumpDuration: 1000,   // ms - matches CSS rabbit-jump-sprite
+  // Timing
+  spawnDuration: 750,   // ms - about how long the drop takes (the intro waits this long)
   jumpCooldown: 100,    // ms - delay between jumps
 
-  // Movement
-  jumpDistance: 300,    // px per jump (matches CSS rabbit-jump-move)
+  // Movement (see PHYSICS_CONFIG for gravity)
+  jump: {
+    // Launch speeds in px/s - a faster approaching cursor means a bigger jump
+    minSpeedX: 380,
+    maxSpeedX: 700,
+    minSpeedY: 700,
+    maxSpeedY: 1500,     // ~470px high - enough to reach the terminal lines
+    approachSpeedForMax: 2500,  // px/s of cursor approach that gives the biggest jump
+    defaultStrength: 0.4,       // 0-1 for taps, keys and startled hops
+  },
+  jumpDistance: 300,    // px per hop in reduced motion (no arc, just a step)
 
   // Interaction
   mouseThreshold: 150,  // px distance to trigger jump
+  touchRadius: 150,     // px - taps/swipes must start this close to count
+  swipeMinDistance: 40, // px of travel for a swipe (less = tap)
+  swipeMaxDuration: 600, // ms - slower drags are ignored
 
   // Glow effect
   glowRange: 600,           // px - distance where proximity glow starts
   maxProximityGlow: 3,      // max glow multiplier from proximity (at distance 0)
   maxProximitySpread: 2,    // max spread multiplier from proximity (at distance 0)
   glowExponent: 1.5,          // >1 = accelerates near rabbit, <1 = decelerates
-  clickRadius: 50,          // px from bottom center to register click
-  glowBoostPerClick: 0,  // permanent glow added per click
-  maxPermanentGlow: 2.0,    // cap on permanent glow bonus
-
-  // Frame positions for sprite sheet (px offset)
-  // Formula: frame N = -((N - 1) * 32)px
-  frames: {
-    idle: -512,         // Frame 17 - standing still
-    jumpStart: -32,     // Frame 2 - first jump frame
-    spawnStart: -288,   // Frame 10 - spawn animation start
-    spawnEnd: -512,     // Frame 17 - spawn animation end
+  clickRadius: 50,          // px from bottom center that counts as a catch (chase game)
+  maxGlowBonus: 2.0,        // cap on extra glow (chase game combo)
+
+  // Sprite sheet for SpriteAnimator: one row of 17 frames
+  sheet: {
+    url: rabbitSpritesheetUrl,
+    frameWidth: 32,
+    frameHeight: 64,
+    frameCount: 17,
+  },
+
+  // Animation clips (frame numbers are 1-based, as in the sheet)
+  clips: {
+    idle: { from: 17, to: 17, fps: 1 },
+    spawn: { from: 10, to: 17, fps: 14 },
+
+    // Jump in three parts - the arc itself is physics, so its length varies
+    takeoff: {
+      from: 2, to: 6, fps: 16,
+      events: { 6: 'takeoff' },  // Feet leave the ground (launch)
+    },
+    air: { from: 7, to: 14, fps: 16 },  // Picked by vertical speed: rising -> falling
+    land: { from: 15, to: 17, fps: 16 },
+
+    // Idle behaviours - no dedicated art yet, these borrow the
+    // crouch (1-6) and landing (15-17) frames
+    twitch: { from: 16, to: 17, fps: 8, repeat: 2 },
+    sniff: { from: 4, to: 6, fps: 8, repeat: 3 },
+    sit: { from: 3, to: 1, fps: 8 },
+    sleep: { from: 1, to: 1, fps: 8 },
+    startle: { from: 6, to: 7, fps: 8 },
+  },
+
+  // Idle behaviours (see Rabbit state machine)
+  idle: {
+    minDelay: 3000,       // ms - random wait between behaviours
+    maxDelay: 7000,
+    weights: {            // Relative chance of each behaviour
+      twitching: 3,
+      sniffing: 2,
+      sitting: 1,
+    },
+    sitDuration: 5000,    // ms sitting before standing up (or dozing off)
+    sleepAfter: 30000,    // ms without interaction before it falls asleep
   },
 };
 
+// Sprite physics (systems/Physics.js)
+export const PHYSICS_CONFIG = {
+  gravity: 2400,        // px/s² - pulls bodies down
+  wallBounce: 0.5,      // share of horizontal speed kept after hitting a wall
+};
+
+// Scene update loop (systems/Scene.js)
+export const SCENE_CONFIG = {
+  fixedStep: 1 / 60,    // s - every sprite update(dt) gets exactly this
+  maxFrameTime: 0.25,   // s - longer frames are clamped (no catch-up spiral)
+};
+
+// Resize / orientation handling (systems/Viewport.js)
+export const VIEWPORT_CONFIG = {
+  settleDelay: 100,     // ms without resize events before re-laying out
+};
+
 // Cursor animation
 export const CURSOR_CONFIG = {
   blinkDuration: 1000,  // ms - matches CSS blink animation
@@ -79,8 +156,6 @@ export function injectCSSVariables() {
   root.style.setProperty('--rabbit-width', `${RABBIT_CONFIG.width}px`);
   root.style.setProperty('--rabbit-height', `${RABBIT_CONFIG.height}px`);
   root.style.setProperty('--rabbit-spawn-duration', `${RABBIT_CONFIG.spawnDuration}ms`);
-  root.style.setProperty('--rabbit-jump-duration', `${RABBIT_CONFIG.jumpDuration}ms`);
-  root.style.setProperty('--rabbit-jump-distance', `${RABBIT_CONFIG.jumpDistance}px`);
 
   // Timing presets
   root.style.setProperty('--timing-fast', `${TIMING.fast}ms`);
@@ -2,11 +2,29 @@
  * CRT Post-Processing Configuration
  *
  * Central config for all CRT visual effects: scanlines, glow, RGB split,
- * vignette, and flicker. CSS-first approach with optional WebGL later.
+ * vignette, and flicker.
  *
- * Similar pattern to animations.js - values injected as CSS custom properties.
+ * Two renderers read these values:
+ * - WebGL (systems/CRTRenderer.js): one shader pass over the whole screen,
+ *   adding barrel distortion and real bloom
+ * - CSS: the fallback without WebGL - values injected as CSS custom
+ *   properties (similar pattern to animations.js)
+ *
+ * The values in effect come from layers, lowest to highest priority:
+ *
+ *   CRT_CONFIG (defaults) -> device profile (mobile) -> saved overrides
+ *   (localStorage, written by the tuning panel) -> URL params
+ *
+ * e.g. ?crt.scanlineOpacity=0.2 or ?crt.webgl.enabled=false. Reduced
+ * motion goes on top of all of them - no preference outranks it.
+ *
+ * Every layer is checked against CRT_SCHEMA: out-of-range numbers are
+ * clamped, unknown keys and wrong types are dropped, and each fix is
+ * reported in the console (see utils/config.js).
  */
 
+import { validateValues, parseValue, flatten, expand } from '../utils/config.js';
+
 export const CRT_CONFIG = {
   // Scanlines
   scanlineOpacity: 0.5,      // Base visibility (0-1)
@@ -36,7 +54,17 @@ export const CRT_CONFIG = {
   // Flicker - JS-driven random spikes
   flickerSpikeChance: 0.1,  // Probability per frame (~60fps) of spike
   flickerSpikeIntensity: 1,// Opacity drop during spike (0-1)
-  flickerSpikeDuration: 50000,   // Base ms duration of spike (+ random 0-100ms)
+  flickerSpikeDuration: 50,      // Base ms duration of spike (+ random 0-100ms)
+
+  // WebGL renderer only
+  webgl: {
+    enabled: true,            // false = always use the CSS effects
+    curvature: 0.08,          // Barrel distortion (0 = flat glass)
+    bloomRadius: 4,           // px - bloom sample distance at glowSpread 1
+    bloomStrength: 0.5,       // Bloom = glowIntensity x this
+    captureFps: 24,           // Max screen snapshots per second (only taken when something changed)
+    maxPixelRatio: 2,         // Caps canvas resolution on dense screens
+  },
 
   // Mobile - reduce/disable heavy effects
   mobile: {
@@ -47,8 +75,78 @@ export const CRT_CONFIG = {
     vignetteIntensity: 0.2,   // Lighter vignette
     blur: 0,                  // Disable blur on mobile
   },
+
+  // Accessibility mode / prefers-reduced-motion - no flashing or smearing
+  reducedMotion: {
+    rgbOffset: 0,             // No RGB split
+    rgbIntensity: 0,
+    blur: 0,                  // No blur
+    flickerIntensity: 0,      // No flicker animation
+    flickerSpikeChance: 0,    // No flicker spikes
+  },
+};
+
+/**
+ * Digital rain behind the terminal (systems/DigitalRain.js) - started and
+ * stopped with the `rain` command or the "rain" script hook. Colors follow
+ * the era: glyphs in --text-primary on --bg-primary.
+ * Not one of the layered CRT values above (no URL/saved overrides).
+ */
+export const RAIN_CONFIG = {
+  glyphs: 'ｱｲｳｴｵｶｷｸｹｺｻｼｽｾｿﾀﾁﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓﾔﾕﾖﾗﾘﾙﾚﾛﾜｦﾝ0123456789:.=*+-<>',
+  fontSize: 18,               // px - also the column width and row height
+  density: 0.5,               // Share of columns raining at any moment (0-1)
+  speed: 12,                  // Rows per second a drop falls
+  fade: 0.12,                 // Old frame painted over per row (0-1) - lower = longer trails
+  brightness: 0.35,           // Glyph opacity, so terminal text stays readable over it
+};
+
+/**
+ * Valid range (or type) of every value - see utils/config.js
+ * Nested values use dotted paths, like the ?crt. URL params.
+ */
+export const CRT_SCHEMA = {
+  scanlineOpacity: { min: 0, max: 1 },
+  scanlineSpacing: { min: 1, max: 20 },
+  scanlineSize: { min: 1, max: 20 },
+  glowSpread: { min: 0, max: 5 },
+  glowIntensity: { min: 0, max: 3 },
+  glowColor: { type: 'string' },
+  blur: { min: 0, max: 10 },
+  rgbOffset: { min: 0, max: 20 },
+  rgbIntensity: { min: 0, max: 1 },
+  vignetteIntensity: { min: 0, max: 1 },
+  vignetteSize: { min: 0, max: 100 },
+  flickerIntensity: { min: 0, max: 0.5 },
+  flickerSpeed: { min: 0.01, max: 5 },
+  flickerSpikeChance: { min: 0, max: 1 },
+  flickerSpikeIntensity: { min: 0, max: 1 },
+  flickerSpikeDuration: { min: 0, max: 1000 },
+  'webgl.enabled': { type: 'boolean' },
+  'webgl.curvature': { min: 0, max: 0.5 },
+  'webgl.bloomRadius': { min: 0, max: 20 },
+  'webgl.bloomStrength': { min: 0, max: 3 },
+  'webgl.captureFps': { min: 1, max: 60, integer: true },
+  'webgl.maxPixelRatio': { min: 0.5, max: 4 },
 };
 
+// localStorage key of the saved overrides (also cleared by `reset`)
+export const CRT_OVERRIDES_STORAGE_KEY = 'crt.overrides';
+const URL_PREFIX = 'crt.';
+
+// Validated layers (flat path -> value maps), see module comment
+const { enabled: mobileEnabled, ...mobileProfile } = CRT_CONFIG.mobile;
+const layers = {
+  defaults: validateValues(flatten(CRT_CONFIG, CRT_SCHEMA), CRT_SCHEMA, 'CRT_CONFIG'),
+  mobile: validateValues(mobileProfile, CRT_SCHEMA, 'CRT_CONFIG.mobile'),
+  saved: loadSavedOverrides(),
+  url: {},
+  reducedMotion: validateValues(CRT_CONFIG.reducedMotion, CRT_SCHEMA, 'CRT_CONFIG.reducedMotion'),
+};
+
+// Set by the accessibility mode (see setReducedMotion)
+let reducedMotion = false;
+
 /**
  * Detects if device is mobile/tablet
  * Uses viewport width + touch detection heuristic
@@ -59,20 +157,117 @@ export function isMobile() {
 }
 
 /**
- * Gets active config values based on device
+ * Gets the values in effect: every layer merged (see module comment)
+ * @returns {Object} Shaped like CRT_CONFIG (without the mobile/reducedMotion blocks)
  */
 export function getActiveConfig() {
-  if (isMobile() && CRT_CONFIG.mobile.enabled) {
-    return {
-      ...CRT_CONFIG,
-      scanlineOpacity: CRT_CONFIG.mobile.scanlineOpacity,
-      rgbOffset: CRT_CONFIG.mobile.rgbOffset,
-      flickerIntensity: CRT_CONFIG.mobile.flickerIntensity,
-      vignetteIntensity: CRT_CONFIG.mobile.vignetteIntensity,
-      blur: CRT_CONFIG.mobile.blur,
-    };
+  return expand({
+    ...layers.defaults,
+    ...(isMobile() && mobileEnabled ? layers.mobile : {}),
+    ...layers.saved,
+    ...layers.url,
+    ...(reducedMotion ? layers.reducedMotion : {}),
+  });
+}
+
+/**
+ * Just the defaults and the saved overrides - what was tuned, without
+ * the device profile, URL params or reduced motion of this visit
+ * (the tuning export is pasted back into CRT_CONFIG)
+ * @returns {Object} Shaped like CRT_CONFIG (without the mobile/reducedMotion blocks)
+ */
+export function getTunedConfig() {
+  return expand({ ...layers.defaults, ...layers.saved });
+}
+
+/**
+ * Paths a layer above the saved overrides sets this visit (URL params,
+ * reduced motion) - tuning those has no visible effect until it's gone
+ * @returns {Set<string>} Flat paths, e.g. 'rgbOffset'
+ */
+export function getLockedPaths() {
+  return new Set([
+    ...Object.keys(layers.url),
+    ...(reducedMotion ? Object.keys(layers.reducedMotion) : []),
+  ]);
+}
+
+/**
+ * Reads ?crt.<path>=<value> params into the URL layer
+ * Call before effects are first enabled.
+ * @param {URLSearchParams} params
+ */
+export function applyURLOverrides(params) {
+  const values = {};
+  for (const [key, text] of params) {
+    if (!key.startsWith(URL_PREFIX)) continue;
+    const path = key.slice(URL_PREFIX.length);
+    values[path] = parseValue(text, CRT_SCHEMA[path]);
   }
-  return CRT_CONFIG;
+  layers.url = validateValues(values, CRT_SCHEMA, 'CRT_CONFIG (URL)');
+}
+
+/**
+ * The visitor's saved overrides (flat path -> value)
+ */
+export function getSavedOverrides() {
+  return { ...layers.saved };
+}
+
+/**
+ * Replaces the saved overrides and persists them
+ * Call refreshCRTEffects() afterwards to apply.
+ * @param {Object} values - Flat path -> value (validated here)
+ */
+export function setSavedOverrides(values) {
+  layers.saved = validateValues(values, CRT_SCHEMA, 'CRT_CONFIG (saved)');
+
+  try {
+    localStorage.setItem(CRT_OVERRIDES_STORAGE_KEY, JSON.stringify(layers.saved));
+  } catch (error) {
+    console.warn('Could not save CRT overrides:', error);
+  }
+}
+
+/**
+ * Reads saved overrides from localStorage
+ * Storage can throw (private mode, disabled cookies) - then there are none
+ */
+function loadSavedOverrides() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CRT_OVERRIDES_STORAGE_KEY));
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+    return validateValues(stored, CRT_SCHEMA, 'CRT_CONFIG (saved)');
+  } catch (error) {
+    console.warn('Could not load CRT overrides:', error);
+    return {};
+  }
+}
+
+/**
+ * Switches reduced-motion overrides on/off and re-applies effects
+ * @param {boolean} enabled
+ * @param {HTMLElement} screenElement - Flicker target (restarted if CRT is on)
+ */
+export function setReducedMotion(enabled, screenElement) {
+  reducedMotion = enabled;
+  refreshCRTEffects(screenElement);
+}
+
+/**
+ * Re-applies effects after the config changed (restarts the flicker,
+ * which reads its values when it starts)
+ * @param {HTMLElement} screenElement - Flicker target
+ */
+export function refreshCRTEffects(screenElement) {
+  // Eras without CRT keep effects off; they pick the new config up when re-enabled
+  if (document.documentElement.dataset.crt === 'off') return;
+
+  stopFlicker();
+  if (screenElement) {
+    screenElement.style.opacity = '';
+  }
+  enableCRTEffects(screenElement);
 }
 
 /**
@@ -140,3 +335,24 @@ export function stopFlicker() {
     flickerInterval = null;
   }
 }
+
+/**
+ * Turns CRT effects on: injects variables and starts flicker
+ * CSS hides the overlay/filters while [data-crt="off"] is set on <html>
+ */
+export function enableCRTEffects(screenElement) {
+  document.documentElement.dataset.crt = 'on';
+  injectCRTVariables();
+  startFlicker(screenElement);
+}
+
+/**
+ * Turns CRT effects off (e.g. eras that aren't a CRT monitor)
+ */
+export function disableCRTEffects(screenElement) {
+  stopFlicker();
+  document.documentElement.dataset.crt = 'off';
+  if (screenElement) {
+    screenElement.style.opacity = '';
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Era Configuration
+ *
+ * Each era is a visual theme. The palette lives in style.css under
+ * [data-era="..."]; this file says which effects each era uses.
+ */
+
+export const ERA_CONFIG = {
+  defaultEra: 'terminal',
+  transitionDuration: 700,    // ms - full power-off/power-on transition
+
+  eras: {
+    // Green phosphor monitor
+    terminal: {
+      label: 'Green phosphor terminal',
+      crt: true,              // Scanlines, glow, RGB split, flicker
+      windowChrome: false,
+    },
+    // Early color CRT, synthwave hints
+    crt: {
+      label: '90s color CRT',
+      crt: true,
+      windowChrome: false,
+    },
+    // Windows XP command prompt window
+    xp: {
+      label: 'Windows XP',
+      crt: false,
+      windowChrome: true,
+      windowTitle: 'C:\\WINDOWS\\system32\\cmd.exe',
+    },
+  },
+};
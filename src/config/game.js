@@ -0,0 +1,53 @@
+/**
+ * Chase Game Configuration
+ *
+ * Tuning for `play` - catch the white rabbit before time runs out.
+ * Distances scale the rabbit's own values (RABBIT_CONFIG.mouseThreshold
+ * and clickRadius), so the game stays in proportion if those change.
+ */
+
+export const GAME_CONFIG = {
+  defaultDifficulty: 'normal',
+  countdown: 3,           // s of "3.. 2.. 1.." before the clock starts
+  catchCooldown: 500,     // ms after a catch before the next one counts
+
+  difficulties: {
+    easy: {
+      duration: 45,       // s
+      fleeRadius: 1,      // x mouseThreshold - how close the pointer gets before it jumps
+      minJumpStrength: 0.3,  // 0-1 - weakest jump while fleeing
+      jumpCooldown: 400,  // ms between jumps
+      catchRadius: 1.6,   // x clickRadius - how close a click must land
+      points: 10,         // per catch, before the combo multiplier
+    },
+    normal: {
+      duration: 30,
+      fleeRadius: 1.6,
+      minJumpStrength: 0.5,
+      jumpCooldown: 200,
+      catchRadius: 1.2,
+      points: 20,
+    },
+    hard: {
+      duration: 20,
+      fleeRadius: 2.2,
+      minJumpStrength: 0.7,
+      jumpCooldown: 100,
+      catchRadius: 1,
+      points: 40,
+    },
+  },
+
+  // Combo meter - quick catches multiply points and make the rabbit glow
+  combo: {
+    window: 3000,         // ms after a catch to land the next one and keep the combo
+    maxMultiplier: 5,
+    glowPerLevel: 0.5,    // Extra glow per multiplier step (capped by RABBIT_CONFIG.maxGlowBonus)
+  },
+
+  // Local high score table
+  highScores: {
+    storageKey: 'chase.highscores',
+    maxEntries: 5,
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Visitor Session Configuration
+ *
+ * What the site remembers about a visitor between page loads
+ * (systems/Session.js) - the shape of the stored entry and its defaults.
+ */
+
+export const SESSION_CONFIG = {
+  storageKey: 'session',          // localStorage key
+
+  defaults: {
+    name: null,                   // From ?name= (a new ?name= replaces it)
+    era: null,                    // Last era picked with `era` (null = ERA_CONFIG.defaultEra)
+    prefs: {
+      speed: null,                // Typing speed from `speed`: a multiplier or 'instant' (null = normal)
+      rain: false,                // Digital rain on
+      lang: null,                 // Language picked with `lang` (null = from the browser)
+    },
+    progress: {
+      visits: 0,                  // Visits that got through the intro
+      colorRevealed: false,       // The rabbit has shown its colors (first jump)
+    },
+  },
+};
@@ -0,0 +1,12 @@
+/**
+ * Terminal Configuration
+ *
+ * Behaviour settings for the interactive terminal (not timing -
+ * typing speeds live in animations.js).
+ */
+
+export const TERMINAL_CONFIG = {
+  // Command history
+  historySize: 100,                   // Max remembered commands
+  historyStorageKey: 'terminal.history', // localStorage key
+};
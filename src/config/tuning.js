@@ -0,0 +1,105 @@
+/**
+ * Tuning Panel Configuration
+ *
+ * Which values the CRT tuning panel (`crt` command, or Alt+Shift+C)
+ * exposes, the slider range for each, and the built-in presets.
+ *
+ * Keys are paths into CRT_CONFIG / RABBIT_CONFIG ("webgl.curvature" is
+ * CRT_CONFIG.webgl.curvature).
+ */
+
+export const TUNING_CONFIG = {
+  // Hidden shortcut that toggles the panel (KeyboardEvent.code, so it
+  // works whatever Alt does to the character on a Mac)
+  shortcut: { code: 'KeyC', altKey: true, shiftKey: true },
+
+  storageKey: 'crt.presets',  // Saved presets (localStorage)
+
+  sections: {
+    crt: {
+      label: 'CRT',
+      fields: [
+        { key: 'scanlineOpacity', min: 0, max: 1, step: 0.01 },
+        { key: 'scanlineSpacing', min: 1, max: 8, step: 1, unit: 'px' },
+        { key: 'scanlineSize', min: 1, max: 8, step: 1, unit: 'px' },
+        { key: 'glowSpread', min: 0, max: 3, step: 0.1 },
+        { key: 'glowIntensity', min: 0, max: 2, step: 0.05 },
+        { key: 'blur', min: 0, max: 4, step: 0.1, unit: 'px' },
+        { key: 'rgbOffset', min: 0, max: 8, step: 0.5, unit: 'px' },
+        { key: 'rgbIntensity', min: 0, max: 1, step: 0.05 },
+        { key: 'vignetteIntensity', min: 0, max: 1, step: 0.05 },
+        { key: 'vignetteSize', min: 0, max: 100, step: 1, unit: '%' },
+        { key: 'flickerIntensity', min: 0, max: 0.2, step: 0.005 },
+        { key: 'flickerSpeed', min: 0.02, max: 1, step: 0.01, unit: 's' },
+        { key: 'flickerSpikeChance', min: 0, max: 0.5, step: 0.01 },
+        { key: 'flickerSpikeIntensity', min: 0, max: 1, step: 0.05 },
+        { key: 'flickerSpikeDuration', min: 0, max: 500, step: 10, unit: 'ms' },
+        { key: 'webgl.curvature', min: 0, max: 0.3, step: 0.01 },
+        { key: 'webgl.bloomRadius', min: 0, max: 12, step: 0.5, unit: 'px' },
+        { key: 'webgl.bloomStrength', min: 0, max: 2, step: 0.05 },
+      ],
+    },
+    rabbit: {
+      label: 'Rabbit glow',
+      fields: [
+        { key: 'glowRange', min: 100, max: 1500, step: 10, unit: 'px' },
+        { key: 'maxProximityGlow', min: 0, max: 6, step: 0.1 },
+        { key: 'maxProximitySpread', min: 0, max: 5, step: 0.1 },
+        { key: 'glowExponent', min: 0.2, max: 4, step: 0.1 },
+        { key: 'maxGlowBonus', min: 0, max: 5, step: 0.1 },
+      ],
+    },
+  },
+
+  // Built-in looks - only the values that differ from the defaults
+  presets: {
+    clean: {
+      crt: {
+        scanlineOpacity: 0.15,
+        glowIntensity: 0.5,
+        blur: 0,
+        rgbOffset: 0,
+        vignetteIntensity: 0.15,
+        flickerIntensity: 0,
+        flickerSpikeChance: 0,
+        'webgl.curvature': 0.03,
+      },
+    },
+    arcade: {
+      crt: {
+        scanlineOpacity: 0.6,
+        glowSpread: 1.5,
+        glowIntensity: 1.3,
+        blur: 1,
+        rgbOffset: 2,
+        rgbIntensity: 0.6,
+        vignetteIntensity: 0.45,
+        vignetteSize: 35,
+        flickerIntensity: 0.02,
+        flickerSpikeChance: 0.01,
+        flickerSpikeIntensity: 0.3,
+        flickerSpikeDuration: 40,
+        'webgl.curvature': 0.12,
+        'webgl.bloomStrength': 0.8,
+      },
+    },
+    'broken-tv': {
+      crt: {
+        scanlineOpacity: 0.8,
+        scanlineSpacing: 3,
+        scanlineSize: 3,
+        glowSpread: 2,
+        blur: 2.5,
+        rgbOffset: 6,
+        rgbIntensity: 1,
+        vignetteIntensity: 0.7,
+        vignetteSize: 20,
+        flickerIntensity: 0.12,
+        flickerSpikeChance: 0.2,
+        flickerSpikeIntensity: 0.6,
+        flickerSpikeDuration: 80,
+        'webgl.curvature': 0.25,
+      },
+    },
+  },
+};
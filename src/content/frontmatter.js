@@ -0,0 +1,27 @@
+/**
+ * Frontmatter Parsing
+ *
+ * No Vite-only imports here, so the build (build/prerender.js) can
+ * read content files with the same rules as the site.
+ */
+
+/**
+ * Splits a "key: value" frontmatter block from the Markdown body
+ * @param {string} raw - File contents
+ * @returns {{ meta: Object, body: string }}
+ */
+export function parseFrontmatter(raw) {
+  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { meta: {}, body: raw.trimEnd() };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  return { meta, body: raw.slice(match[0].length).trimEnd() };
+}
@@ -0,0 +1,80 @@
+/**
+ * Portfolio Content
+ *
+ * Every Markdown file under src/content/fs/ becomes a file in the
+ * terminal's virtual filesystem, at the same relative path.
+ * Drop in a new .md file and it shows up in `ls` - no JS needed.
+ *
+ * Files can start with a frontmatter block for metadata:
+ *
+ *   ---
+ *   title: Shaders
+ *   description: Real-time shader work
+ *   ---
+ *   Body text shown by `cat`...
+ *
+ * Images next to the Markdown files (png/jpg/gif/webp) are bundled too.
+ * Reference them relative to the file - in frontmatter (`image: shader.png`)
+ * or in the body (`![alt](shader.png)`) - and they resolve to the built URL.
+ */
+
+import { parseFrontmatter } from './frontmatter.js';
+
+export { parseFrontmatter };
+
+/**
+ * import.meta.glob is a Vite feature: it finds matching files at build
+ * time and bundles them. With eager + ?raw, each value is the file's
+ * text content (like Resources.LoadAll<TextAsset>() in Unity).
+ */
+const rawFiles = import.meta.glob('./fs/**/*.md', {
+  query: '?raw',
+  import: 'default',
+  eager: true,
+});
+
+// Image assets: path -> built URL (?url gives the hashed output path)
+const assetUrls = import.meta.glob('./fs/**/*.{png,jpg,jpeg,gif,webp}', {
+  query: '?url',
+  import: 'default',
+  eager: true,
+});
+
+/**
+ * Content files keyed by path relative to the filesystem root
+ * Example: { 'projects/shaders.md': { meta: {...}, body: '...' } }
+ */
+export const CONTENT_FILES = Object.fromEntries(
+  Object.entries(rawFiles).map(([path, raw]) => {
+    const relativePath = path.replace('./fs/', '');
+    const { meta, body } = parseFrontmatter(raw);
+
+    if (meta.image) {
+      meta.image = resolveAsset(relativePath, meta.image);
+    }
+    const resolvedBody = body.replace(
+      /!\[([^\]]*)\]\(([^)\s]+)\)/g,
+      (match, alt, src) => `![${alt}](${resolveAsset(relativePath, src)})`
+    );
+
+    return [relativePath, { meta, body: resolvedBody }];
+  })
+);
+
+/**
+ * Resolves an asset reference relative to the file that uses it
+ * Absolute URLs and site paths ("/img.png") are returned unchanged.
+ * @param {string} filePath - Content file path ("projects/shaders.md")
+ * @param {string} ref - Reference as written ("thumb.png", "../img/a.png")
+ */
+function resolveAsset(filePath, ref) {
+  if (/^([a-z]+:)?\/\//i.test(ref) || ref.startsWith('/')) return ref;
+
+  const parts = filePath.split('/').slice(0, -1);
+  for (const part of ref.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  }
+
+  return assetUrls[`./fs/${parts.join('/')}`] ?? ref;
+}
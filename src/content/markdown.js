@@ -0,0 +1,47 @@
+/**
+ * Markdown -> Terminal Output
+ *
+ * Renders the small subset of Markdown used in src/content/fs/
+ * into output lines for Terminal.print():
+ *   # Heading         -> bold
+ *   **bold**          -> bold
+ *   `code`            -> yellow
+ *   [text](url)       -> hyperlink
+ *   https://...       -> hyperlink
+ *   ![alt](src)       -> image block (on its own line)
+ */
+
+import { bold, color, link, image } from '../utils/format.js';
+
+// One pass over all inline syntax, so a link's URL is never re-matched as a bare URL
+const INLINE_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|`([^`]+)`|(https?:\/\/[^\s)]+)/g;
+const IMAGE_LINE_PATTERN = /^!\[([^\]]*)\]\(([^)\s]+)\)$/;
+
+/**
+ * @param {string} body - Markdown text
+ * @returns {(string|Object)[]} Output lines and image blocks
+ */
+export function renderMarkdown(body) {
+  return body.split(/\r?\n/).map(line => {
+    const imageMatch = line.trim().match(IMAGE_LINE_PATTERN);
+    if (imageMatch) {
+      return image(imageMatch[2], imageMatch[1]);
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      return bold(renderInline(heading[1]));
+    }
+
+    return renderInline(line);
+  });
+}
+
+function renderInline(text) {
+  return text.replace(INLINE_PATTERN, (match, linkText, linkUrl, boldText, code, url) => {
+    if (linkText) return link(linkText, linkUrl);
+    if (boldText) return bold(boldText);
+    if (code) return color(code, 'yellow');
+    return link(url, url);
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * English Messages - the reference catalog
+ *
+ * Every message key lives here; other languages fall back to these for
+ * keys they don't translate (yet). {placeholders} are filled in the same
+ * way as script text (scripts/conditions.js).
+ *
+ * Command descriptions and era labels stay in their definitions - a
+ * catalog can override them with 'command.<name>' and 'era.label.<name>'
+ * (see es.js).
+ */
+
+export default {
+  // Intro scripts (src/scripts/)
+  'intro.wakeUpName': 'Wake up, {name}...',
+  'intro.wakeUp': 'Wake up...',
+  'intro.follow': 'Follow the white rabbit.',
+  'returning.welcomeName': 'Welcome back, {name}...',
+  'returning.welcome': 'Welcome back...',
+  'glitch.wakeUpNeo': 'Wake up, Neo',  // "Neo" is deleted and replaced by the name
+  'glitch.name': '{name}...',
+  'glitch.you': 'you...',
+  'glitch.matrixHasYou': 'The Matrix has you.',
+
+  // main() fallback
+  'error.fallback': 'System error. Please refresh the page.',
+
+  // Screen reader labels
+  'terminal.inputLabel': 'Terminal command. Type help and press Enter for a list of commands.',
+  'terminal.outputLabel': 'Terminal output',
+  'a11y.toggleOn': 'reduce motion: on',
+  'a11y.toggleOff': 'reduce motion: off',
+  'rabbit.label': 'White rabbit. Press Space or an arrow key to make it jump.',
+  'terminal.image': 'Image: {alt}',
+
+  // Ctrl+R prompt
+  'terminal.search': "(reverse-i-search)'{query}':",
+  'terminal.searchFailed': "(failed reverse-i-search)'{query}':",
+
+  // Command line
+  'terminal.notFound': 'command not found: {name}',
+  'help.title': 'Available commands:',
+  'help.noSuchCommand': 'help: no such command: {name}',
+  'help.usage': 'usage: {usage}',
+
+  // Filesystem (cd, ls, cat, tree)
+  'fs.notFound': 'no such file or directory: {path}',
+  'fs.notDirectory': 'not a directory: {path}',
+  'fs.isDirectory': 'is a directory: {path}',
+  'cat.missingFile': 'missing file operand',
+
+  // about, projects, contact
+  'projects.details': 'projects <name> for details',
+  'projects.notFound': 'no such project: {name} (see projects)',
+  'projects.demo': 'demo',
+  'projects.demoLine': 'demo: {link}',
+  'projects.preview': '{title} preview',
+
+  // era
+  'era.unknown': 'unknown era: {name} (try: {names})',
+
+  // speed
+  'speed.invalid': 'invalid speed: {speed} (try 0.5, 2, normal, instant)',
+  'speed.instant': 'speed: instant',
+  'speed.multiplier': 'speed: {speed}x',
+  'speed.a11y': '{status} (instant while accessibility mode is on)',
+
+  // a11y
+  'a11y.invalid': 'invalid mode: {mode} (try on, off, auto)',
+  'a11y.on': 'accessibility mode: on ({reason})',
+  'a11y.off': 'accessibility mode: off ({reason})',
+  'a11y.reasonChoice': 'your choice',
+  'a11y.reasonSystem': 'system setting',
+
+  // rain
+  'rain.invalid': 'invalid mode: {mode} (try on, off)',
+  'rain.on': 'rain: on',
+  'rain.off': 'rain: off',
+  'rain.paused': 'rain: on (paused while accessibility mode is on)',
+
+  // crt
+  'crt.panelOpen': 'crt: tuning panel open (Esc to close)',
+  'crt.savedTag': '(saved)',
+  'crt.usage': 'usage: crt {action} <name>',
+  'crt.noPreset': 'no such preset: {name} (see crt presets)',
+  'crt.applied': 'crt: {name}',
+  'crt.builtIn': "can't save over built-in preset: {name}",
+  'crt.saved': 'crt: saved {name}',
+  'crt.noSavedPreset': 'no saved preset: {name}',
+  'crt.deleted': 'crt: deleted {name}',
+  'crt.reset': 'crt: defaults restored',
+  'crt.unknownOption': 'unknown option: {option} (try crt presets, crt export)',
+
+  // CRT tuning panel (components/TuningPanel.js)
+  'crtPanel.title': 'CRT tuning',
+  'crtPanel.close': 'Close',
+  'crtPanel.locked': 'Greyed-out values are held by accessibility mode or a ?crt. URL param.',
+  'crtPanel.preset': 'Preset',
+  'crtPanel.pickPreset': 'preset...',
+  'crtPanel.delete': 'Delete',
+  'crtPanel.presetName': 'preset name',
+  'crtPanel.newPresetName': 'New preset name',
+  'crtPanel.save': 'Save',
+  'crtPanel.reset': 'Reset',
+  'crtPanel.export': 'Export JSON',
+  'crtPanel.exported': 'Exported settings',
+
+  // play
+  'play.unknownDifficulty': 'unknown difficulty: {difficulty} (try {options})',
+  'play.title': 'Follow the white rabbit.',
+  'play.instructions': 'Click it as often as you can in {duration}s - quick catches build a combo.',
+  'play.giveUp': 'Press Esc to give up.',
+  'play.timeUp': 'Time!',
+  'play.gameOver': 'Game over - the rabbit got away.',
+  'play.result': 'score: {score}  catches: {catches}  best combo: x{combo}',
+  'play.highScore': 'New high score - #{rank} on {difficulty}!',
+  'play.noScores': '{difficulty}: no scores yet',
+  'play.columnName': 'name',
+  'play.columnScore': 'score',
+  'play.columnCombo': 'combo',
+  'play.columnDate': 'date',
+  'play.hudReady': 'READY {seconds}',
+  'play.hud': 'SCORE {score}  TIME {time}  COMBO {combo}',
+
+  // lang
+  'lang.current': 'language: {language}',
+  'lang.unknown': 'unknown language: {code} (try {codes})',
+
+  // reset
+  'reset.warning': 'This wipes everything the site remembers about you.',
+  'reset.prompt': 'reset? [y/N]',
+  'reset.yes': 'y',  // Accepted answers start with this letter
+  'reset.cancelled': 'reset: cancelled',
+  'reset.done': 'reset: done - rebooting...',
+};
@@ -0,0 +1,154 @@
+/**
+ * Spanish Messages
+ *
+ * Missing keys fall back to English (en.js).
+ */
+
+export default {
+  // Intro scripts (src/scripts/)
+  'intro.wakeUpName': 'Despierta, {name}...',
+  'intro.wakeUp': 'Despierta...',
+  'intro.follow': 'Sigue al conejo blanco.',
+  'returning.welcomeName': 'Hola de nuevo, {name}...',
+  'returning.welcome': 'Hola de nuevo...',
+  'glitch.wakeUpNeo': 'Despierta, Neo',
+  'glitch.name': '{name}...',
+  'glitch.you': 'tú...',
+  'glitch.matrixHasYou': 'La Matrix te tiene.',
+
+  // main() fallback
+  'error.fallback': 'Error del sistema. Por favor, recarga la página.',
+
+  // Screen reader labels
+  'terminal.inputLabel': 'Comando de la terminal. Escribe help y pulsa Enter para ver los comandos.',
+  'terminal.outputLabel': 'Salida de la terminal',
+  'a11y.toggleOn': 'reducir movimiento: sí',
+  'a11y.toggleOff': 'reducir movimiento: no',
+  'rabbit.label': 'Conejo blanco. Pulsa Espacio o una flecha para que salte.',
+  'terminal.image': 'Imagen: {alt}',
+
+  // Ctrl+R prompt
+  'terminal.search': "(búsqueda-inversa)'{query}':",
+  'terminal.searchFailed': "(búsqueda-inversa fallida)'{query}':",
+
+  // Command line
+  'terminal.notFound': 'comando no encontrado: {name}',
+  'help.title': 'Comandos disponibles:',
+  'help.noSuchCommand': 'help: no existe el comando: {name}',
+  'help.usage': 'uso: {usage}',
+
+  // Filesystem (cd, ls, cat, tree)
+  'fs.notFound': 'no existe el archivo o directorio: {path}',
+  'fs.notDirectory': 'no es un directorio: {path}',
+  'fs.isDirectory': 'es un directorio: {path}',
+  'cat.missingFile': 'falta el archivo',
+
+  // about, projects, contact
+  'projects.details': 'projects <nombre> para ver detalles',
+  'projects.notFound': 'no existe el proyecto: {name} (ver projects)',
+  'projects.demo': 'demo',
+  'projects.demoLine': 'demo: {link}',
+  'projects.preview': 'vista previa de {title}',
+
+  // era
+  'era.unknown': 'época desconocida: {name} (prueba: {names})',
+  'era.label.terminal': 'Terminal de fósforo verde',
+  'era.label.crt': 'CRT a color de los 90',
+
+  // speed
+  'speed.invalid': 'velocidad no válida: {speed} (prueba 0.5, 2, normal, instant)',
+  'speed.instant': 'velocidad: instantánea',
+  'speed.multiplier': 'velocidad: {speed}x',
+  'speed.a11y': '{status} (instantánea mientras el modo accesible está activo)',
+
+  // a11y
+  'a11y.invalid': 'modo no válido: {mode} (prueba on, off, auto)',
+  'a11y.on': 'modo accesible: activado ({reason})',
+  'a11y.off': 'modo accesible: desactivado ({reason})',
+  'a11y.reasonChoice': 'elegido por ti',
+  'a11y.reasonSystem': 'ajuste del sistema',
+
+  // rain
+  'rain.invalid': 'modo no válido: {mode} (prueba on, off)',
+  'rain.on': 'lluvia: activada',
+  'rain.off': 'lluvia: desactivada',
+  'rain.paused': 'lluvia: activada (en pausa mientras el modo accesible está activo)',
+
+  // crt
+  'crt.panelOpen': 'crt: panel de ajustes abierto (Esc para cerrar)',
+  'crt.savedTag': '(guardado)',
+  'crt.usage': 'uso: crt {action} <nombre>',
+  'crt.noPreset': 'no existe el preset: {name} (ver crt presets)',
+  'crt.applied': 'crt: {name}',
+  'crt.builtIn': 'no se puede sobrescribir el preset incluido: {name}',
+  'crt.saved': 'crt: guardado {name}',
+  'crt.noSavedPreset': 'no hay un preset guardado: {name}',
+  'crt.deleted': 'crt: borrado {name}',
+  'crt.reset': 'crt: valores por defecto restaurados',
+  'crt.unknownOption': 'opción desconocida: {option} (prueba crt presets, crt export)',
+
+  // CRT tuning panel (components/TuningPanel.js)
+  'crtPanel.title': 'Ajustes CRT',
+  'crtPanel.close': 'Cerrar',
+  'crtPanel.locked': 'Los valores en gris los fija el modo accesible o un parámetro ?crt. de la URL.',
+  'crtPanel.preset': 'Preset',
+  'crtPanel.pickPreset': 'preset...',
+  'crtPanel.delete': 'Borrar',
+  'crtPanel.presetName': 'nombre del preset',
+  'crtPanel.newPresetName': 'Nombre del nuevo preset',
+  'crtPanel.save': 'Guardar',
+  'crtPanel.reset': 'Restablecer',
+  'crtPanel.export': 'Exportar JSON',
+  'crtPanel.exported': 'Ajustes exportados',
+
+  // play
+  'play.unknownDifficulty': 'dificultad desconocida: {difficulty} (prueba {options})',
+  'play.title': 'Sigue al conejo blanco.',
+  'play.instructions': 'Haz clic en él tantas veces como puedas en {duration}s - las capturas rápidas suman combo.',
+  'play.giveUp': 'Pulsa Esc para rendirte.',
+  'play.timeUp': '¡Tiempo!',
+  'play.gameOver': 'Fin del juego - el conejo escapó.',
+  'play.result': 'puntos: {score}  capturas: {catches}  mejor combo: x{combo}',
+  'play.highScore': '¡Nuevo récord - #{rank} en {difficulty}!',
+  'play.noScores': '{difficulty}: aún no hay puntuaciones',
+  'play.columnName': 'nombre',
+  'play.columnScore': 'puntos',
+  'play.columnCombo': 'combo',
+  'play.columnDate': 'fecha',
+  'play.hudReady': 'LISTO {seconds}',
+  'play.hud': 'PUNTOS {score}  TIEMPO {time}  COMBO {combo}',
+
+  // lang
+  'lang.current': 'idioma: {language}',
+  'lang.unknown': 'idioma desconocido: {code} (prueba {codes})',
+
+  // reset
+  'reset.warning': 'Esto borra todo lo que el sitio recuerda de ti.',
+  'reset.prompt': '¿reiniciar? [s/N]',
+  'reset.yes': 's',
+  'reset.cancelled': 'reset: cancelado',
+  'reset.done': 'reset: listo - reiniciando...',
+
+  // Command descriptions (`help`)
+  'command.a11y': 'Modo accesible: sin parpadeo, texto instantáneo (on/off/auto)',
+  'command.about': 'Sobre mí',
+  'command.cat': 'Muestra un archivo',
+  'command.cd': 'Cambia de directorio',
+  'command.clear': 'Limpia la pantalla',
+  'command.contact': 'Formas de contactarme',
+  'command.crt': 'Ajusta los efectos CRT (panel, presets, exportar)',
+  'command.echo': 'Repite el texto',
+  'command.era': 'Cambia la época visual',
+  'command.help': 'Lista los comandos disponibles',
+  'command.history': 'Muestra los comandos anteriores (-c para borrar)',
+  'command.lang': 'Idioma de la terminal (en, es)',
+  'command.ls': 'Lista el contenido del directorio',
+  'command.play': 'Atrapa al conejo blanco (minijuego)',
+  'command.projects': 'Lista los proyectos (o muestra uno: projects <nombre>)',
+  'command.pwd': 'Muestra el directorio actual',
+  'command.rain': 'Lluvia digital detrás de la terminal (on/off)',
+  'command.reset': 'Olvida tu nombre, época, preferencias y progreso',
+  'command.speed': 'Velocidad de escritura (ej. speed 2, speed instant)',
+  'command.tree': 'Muestra el árbol de directorios',
+  'command.whoami': 'Muestra tu nombre de usuario',
+};
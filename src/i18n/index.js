@@ -0,0 +1,108 @@
+/**
+ * Translations
+ *
+ * Message catalogs per language, and t() to look a message up:
+ *
+ *   t('intro.wakeUpName', { name: 'Alice' })  // -> "Despierta, Alice..." in Spanish
+ *
+ * The language is picked once on load (?lang=, the last visit, then the
+ * browser's languages - see detectLanguage) and can be switched at
+ * runtime with the `lang` command. Like a localization table in Unity:
+ * code asks for keys, never for English.
+ *
+ * Sets lang on <html>, so screen readers pronounce the text correctly.
+ * Text that stays on the page (labels, buttons) re-reads its message on
+ * onLanguageChange().
+ *
+ * Adding a language: a catalog file next to en.js, plus an entry in
+ * LANGUAGES. Keys it doesn't translate fall back to English.
+ */
+
+import { interpolate } from '../scripts/conditions.js';
+import en from './en.js';
+import es from './es.js';
+
+export const LANGUAGES = {
+  en: { label: 'English', messages: en },
+  es: { label: 'Español', messages: es },
+};
+
+const FALLBACK_LANGUAGE = 'en';
+
+let currentLanguage = FALLBACK_LANGUAGE;
+const listeners = new Set();
+
+/**
+ * Looks up a message in the current language and fills its {placeholders}
+ * @param {string} key - e.g. 'intro.follow'
+ * @param {Object} vars - Placeholder values
+ * @param {string} fallback - Used if no catalog has the key (default: the key itself)
+ * @returns {string}
+ */
+export function t(key, vars = {}, fallback = key) {
+  return interpolate(getMessage(key, fallback), vars);
+}
+
+/**
+ * A message as written in the catalog, {placeholders} left in
+ * (for Terminal.run, which fills them from the script vars)
+ */
+export function getMessage(key, fallback = key) {
+  return LANGUAGES[currentLanguage].messages[key]
+    ?? LANGUAGES[FALLBACK_LANGUAGE].messages[key]
+    ?? fallback;
+}
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Switches the language for everything printed from now on
+ * @param {string} tag - Language code or tag ('es', 'es-AR')
+ * @returns {boolean} false if there's no catalog for it
+ */
+export function setLanguage(tag) {
+  const code = matchLanguage(tag);
+  if (!code) return false;
+
+  currentLanguage = code;
+  document.documentElement.lang = code;
+
+  for (const listener of listeners) {
+    listener(code);
+  }
+  return true;
+}
+
+/**
+ * Calls listener(code) whenever setLanguage() switches the language
+ * @returns {Function} Removes the listener
+ */
+export function onLanguageChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * First of the candidates we have a catalog for - ?lang=, the stored
+ * choice, then navigator.languages (most preferred first)
+ * @param {(string|null)[]} candidates - Language tags, in priority order
+ * @returns {string} Language code (English if none match)
+ */
+export function detectLanguage(candidates) {
+  for (const tag of candidates) {
+    const code = matchLanguage(tag);
+    if (code) return code;
+  }
+  return FALLBACK_LANGUAGE;
+}
+
+/**
+ * 'es-AR' -> 'es' (if there's a catalog), anything else -> null
+ */
+function matchLanguage(tag) {
+  if (typeof tag !== 'string') return null;
+  const code = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(LANGUAGES, code) ? code : null;
+}
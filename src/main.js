@@ -1,238 +1,57 @@
 /**
- * Terminal System
+ * Portfolio Entry Point
  *
- * A modular terminal emulator that can:
- * - Type text with natural randomness
- * - Handle multiple lines
- * - Submit lines (like pressing Enter)
- * - Queue and execute commands sequentially
+ * Wires together the terminal, CRT effects and the rabbit sprite,
+ * then plays the intro sequence and hands the keyboard to the visitor.
  */
 
 import { Rabbit } from './components/Rabbit.js';
-import { TYPING_CONFIG, injectCSSVariables } from './config/animations.js';
-import { injectCRTVariables, startFlicker } from './config/crt.js';
-import rabbitSpritesheetUrl from './assets/spritesheets/RabbitAnimation_V1.png';
+import { Terminal } from './components/Terminal.js';
+import { CommandRegistry } from './commands/CommandRegistry.js';
+import { createCompleter } from './commands/completion.js';
+import { registerCoreCommands } from './commands/core.js';
+import { registerFilesystemCommands } from './commands/filesystem.js';
+import { registerPortfolioCommands } from './commands/portfolio.js';
+import { registerEraCommands } from './commands/era.js';
+import { registerSpeedCommands, parseSpeed } from './commands/speed.js';
+import { registerAccessibilityCommands } from './commands/accessibility.js';
+import { registerGameCommands } from './commands/game.js';
+import { registerTuningCommands } from './commands/tuning.js';
+import { registerRainCommands } from './commands/rain.js';
+import { registerSessionCommands } from './commands/session.js';
+import { registerLangCommands } from './commands/lang.js';
+import { VirtualFileSystem } from './systems/VirtualFileSystem.js';
+import { CommandHistory } from './systems/CommandHistory.js';
+import { EraManager } from './systems/EraManager.js';
+import { AccessibilityMode } from './systems/Accessibility.js';
+import { Scene } from './systems/Scene.js';
+import { PhysicsWorld } from './systems/Physics.js';
+import { CRTRenderer } from './systems/CRTRenderer.js';
+import { Viewport } from './systems/Viewport.js';
+import { DigitalRain } from './systems/DigitalRain.js';
+import { Session } from './systems/Session.js';
+import { Router } from './systems/Router.js';
+import { Tuning } from './systems/Tuning.js';
+import { TuningPanel } from './components/TuningPanel.js';
+import { RABBIT_CONFIG, injectCSSVariables } from './config/animations.js';
+import { applyURLOverrides } from './config/crt.js';
+import { ERA_CONFIG } from './config/eras.js';
+import { CONTENT_FILES } from './content/index.js';
+import { detectLanguage, setLanguage, getMessage, t } from './i18n/index.js';
+import { selectScript } from './scripts/index.js';
+import { sleep } from './utils/timing.js';
 
 // Inject CSS variables from centralized config
+// (CRT variables + flicker are applied by the EraManager per era)
 injectCSSVariables();
-injectCRTVariables();
 
 // Get CRT container for spawning elements inside it
 const crtScreen = document.getElementById('crt-screen');
 
-// Start flicker effect
-startFlicker(crtScreen);
-
-// Alias for cleaner code
-const config = TYPING_CONFIG;
-
-// ============================================
-// Terminal Class
-// ============================================
-
-/**
- * Terminal manages the DOM and provides methods for typing/output
- *
- * Class in JS is similar to C# classes - bundles data and methods.
- * 'this' refers to the instance (like 'this' in Unity MonoBehaviour)
- */
-class Terminal {
-  constructor(containerElement) {
-    this.container = containerElement;
-    this.currentLine = null;
-    this.cursor = this.createCursor();
-
-    // Build DOM structure:
-    // .terminal-wrapper
-    //   .terminal-history (submitted lines, grows upward)
-    //   .terminal-active (current line, stays centered)
-    this.wrapper = document.createElement('div');
-    this.wrapper.className = 'terminal-wrapper';
-
-    this.history = document.createElement('div');
-    this.history.className = 'terminal-history';
-
-    this.activeContainer = document.createElement('div');
-    this.activeContainer.className = 'terminal-active';
-
-    // Order matters: with column-reverse, first child appears at bottom
-    this.wrapper.appendChild(this.activeContainer);
-    this.wrapper.appendChild(this.history);
-    this.container.appendChild(this.wrapper);
-
-    // Start with a fresh line
-    this.newLine();
-  }
-
-  /**
-   * Creates the blinking cursor element
-   */
-  createCursor() {
-    const cursor = document.createElement('span');
-    cursor.className = 'cursor';
-    cursor.textContent = '█';
-    return cursor;
-  }
-
-  /**
-   * Creates the prompt element (the ">" symbol)
-   */
-  createPrompt() {
-    const prompt = document.createElement('span');
-    prompt.className = 'prompt';
-    prompt.textContent = '>';
-    return prompt;
-  }
-
-  /**
-   * Creates a new line in the active container
-   */
-  newLine() {
-    const line = document.createElement('div');
-    line.className = 'terminal-line';
-
-    // Add prompt, then cursor
-    line.appendChild(this.createPrompt());
-    line.appendChild(this.cursor);
-
-    // Clear active container and add new line
-    this.activeContainer.innerHTML = '';
-    this.activeContainer.appendChild(line);
-
-    this.currentLine = line;
-  }
-
-  /**
-   * Adds a character to the current line (before cursor)
-   *
-   * insertBefore(newNode, referenceNode) - inserts newNode before referenceNode
-   * document.createTextNode() - creates a plain text node (not an element)
-   */
-  addChar(char) {
-    const textNode = document.createTextNode(char);
-    this.currentLine.insertBefore(textNode, this.cursor);
-  }
-
-  /**
-   * Submits current line and starts a new one
-   */
-  submitLine() {
-    // Replace prompt with space to maintain alignment
-    const oldPrompt = this.currentLine.querySelector('.prompt');
-    if (oldPrompt) {
-      oldPrompt.textContent = ' ';
-    }
-
-    // Remove cursor from current line before moving to history
-    this.cursor.remove();
-
-    // Move line to history (append so newest appears at bottom, closest to active)
-    this.history.appendChild(this.currentLine);
-
-    // Create new active line
-    this.newLine();
-  }
-
-  /**
-   * Types a string with natural timing
-   */
-  async type(text) {
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      const nextChar = text[i + 1];
-
-      // Pause before space
-      if (char === ' ') {
-        await sleep(getRandomDelay(config.spacePause, config.variance));
-      }
-
-      // Type character
-      this.addChar(char);
-
-      // Base delay
-      await sleep(getRandomDelay(config.baseSpeed, config.variance));
-
-      // Pause after word (before space)
-      if (nextChar === ' ') {
-        await sleep(getRandomDelay(config.spacePause * 0.5, config.variance));
-      }
-    }
-  }
-
-  /**
-   * Types text then submits the line (like typing + Enter)
-   */
-  async typeLine(text) {
-    await this.type(text);
-    await sleep(getRandomDelay(config.linePause, config.variance));
-    this.submitLine();
-    await sleep(getRandomDelay(config.linePause, config.variance));
-  }
-
-  /**
-   * Execute a sequence of commands
-   *
-   * commands is an array of objects: { text: string, submit: boolean }
-   */
-  async run(commands) {
-    for (const cmd of commands) {
-      if (cmd.submit) {
-        await this.typeLine(cmd.text);
-      } else {
-        await this.type(cmd.text);
-      }
-    }
-  }
-
-  /**
-   * Gets cursor position for spawning elements relative to cursor
-   * @returns {{ x: number, y: number }}
-   */
-  getCursorPosition() {
-    const rect = this.cursor.getBoundingClientRect();
-    return {
-      x: rect.left,
-      y: rect.bottom,
-    };
-  }
-
-  /**
-   * Hides the terminal cursor (e.g., after spawning a sprite)
-   */
-  hideCursor() {
-    this.cursor.style.display = 'none';
-  }
-
-  /**
-   * Shows the terminal cursor
-   */
-  showCursor() {
-    this.cursor.style.display = '';
-  }
-
-  /**
-   * Cleans up terminal DOM elements
-   */
-  destroy() {
-    if (this.wrapper) {
-      this.wrapper.remove();
-    }
-  }
-}
-
 // ============================================
 // Utility Functions
 // ============================================
 
-function getRandomDelay(base, varianceAmount) {
-  const randomFactor = 1 + (Math.random() - 0.5) * 2 * varianceAmount;
-  return Math.floor(base * randomFactor);
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Preloads an image to ensure it's cached before use
  * Like preloading assets in Unity's Addressables
@@ -259,46 +78,176 @@ function preloadImage(src) {
  * - params.get('name') = "John"
  */
 const params = new URLSearchParams(window.location.search);
-const username = params.get('name');  // null if not present
+const nameParam = params.get('name');  // null if not present
+const eraParam = params.get('era');    // e.g. ?era=xp
+const speedParam = parseSpeed(params.get('speed'));  // e.g. ?speed=2 or ?speed=instant
+const langParam = params.get('lang');  // e.g. ?lang=es
+
+// What we remember from earlier visits - URL params win for this visit,
+// and a new ?name= is remembered
+const session = new Session();
+if (nameParam) session.set('name', nameParam);
+const username = session.get('name');
+
+// Language: ?lang=, the last `lang` pick, then the browser's preferences
+setLanguage(detectLanguage([
+  langParam,
+  session.get('prefs.lang'),
+  ...(navigator.languages ?? [navigator.language]),
+]));
+
+// CRT values straight from the URL, e.g. ?crt.scanlineOpacity=0.2 (see config/crt.js)
+applyURLOverrides(params);
 
 // ============================================
 // Initialize & Run
 // ============================================
 
 const terminalElement = document.getElementById('terminal');
-const terminal = new Terminal(terminalElement);
+// The built page's text version (build/prerender.js) - the terminal takes over
+terminalElement.querySelector('.terminal-static')?.remove();
+
+// Visual era (theme + CRT effects) - from ?era=, the last visit or the default,
+// no transition on load
+const eras = new EraManager(crtScreen, terminalElement);
+const startEra = [eraParam, session.get('era')].find(name => eras.has(name)) ?? ERA_CONFIG.defaultEra;
+eras.setEra(startEra, { animate: false });
+
+// CRT effects as a WebGL shader pass - stays on the CSS effects without WebGL
+const crtRenderer = new CRTRenderer(crtScreen);
+crtRenderer.enable();
+const terminal = new Terminal(terminalElement, {
+  commandHistory: new CommandHistory(),
+  speed: speedParam ?? parseSpeed(session.get('prefs.speed')) ?? 1,
+});
+
+// Accessibility mode - follows prefers-reduced-motion, toggle button or `a11y`
+const a11y = new AccessibilityMode({ terminal, screenElement: crtScreen });
+a11y.createToggle();
+
+// Sprites (rabbit and friends) live in the CRT screen and share one update loop
+// Terminal lines double as platforms they can land on
+const scene = new Scene(crtScreen, {
+  physics: new PhysicsWorld({ getPlatforms: () => terminal.getLineRects() }),
+});
+scene.start();
+
+// Resize / rotation / on-screen keyboard: re-apply the CRT profile, keep
+// sprites on screen and the terminal line in view
+const viewport = new Viewport({ screenElement: crtScreen, scene, terminal });
+viewport.enable();
+
+// Matrix rain behind the terminal - `rain` command or the "rain" script hook
+const rain = new DigitalRain({ scene });
+if (session.get('prefs.rain')) rain.start();
+
+// Live CRT/glow tuning - `crt` command or Alt+Shift+C
+const tuning = new Tuning({ screenElement: crtScreen, scene });
+const crtPanel = new TuningPanel(tuning);
+crtPanel.enableShortcut();
 
-// Build name for sequence (defaults to "Neo")
-const wakeUpText = username ? `Wake up, ${username}...` : 'Wake up...';
+/**
+ * Drops a new rabbit from the cursor and waits for it to land
+ * (replaces any earlier rabbit - the scene keeps one "rabbit")
+ */
+async function spawnRabbit() {
+  const cursorPos = terminal.getCursorPosition();
+  terminal.hideCursor();
+
+  // A returning visitor's rabbit has already shown its colors
+  const rabbit = new Rabbit({
+    colorRevealed: session.get('progress.colorRevealed'),
+    onColorReveal: () => session.set('progress.colorRevealed', true),
+  });
+  scene.add(rabbit, 'rabbit');
+  rabbit.spawnAndDrop(cursorPos.x, cursorPos.y, scene.container);
+  rabbit.enableInteraction();
 
-// The Matrix opening terminal sequence
-const introSequence = [
-  { text: wakeUpText, submit: true },
-  { text: 'Follow the white rabbit.', submit: false },
-];
+  await sleep(RABBIT_CONFIG.spawnDuration);
+}
 
-// Track rabbit instance for cleanup
-let rabbit = null;
+// Portfolio content as a browsable directory tree
+const fs = new VirtualFileSystem(CONTENT_FILES);
+
+// Command interpreter - modules register their own commands
+const commands = new CommandRegistry({
+  terminal,
+  fs,
+  eras,
+  a11y,
+  scene,
+  spawnRabbit,
+  tuning,
+  crtPanel,
+  rain,
+  session,
+  env: { username },
+});
+registerCoreCommands(commands);
+registerFilesystemCommands(commands);
+registerPortfolioCommands(commands);
+registerEraCommands(commands);
+registerSpeedCommands(commands);
+registerAccessibilityCommands(commands);
+registerGameCommands(commands);
+registerTuningCommands(commands);
+registerRainCommands(commands);
+registerSessionCommands(commands);
+registerLangCommands(commands);
+terminal.setCompleter(createCompleter(commands, fs));
+
+// Page commands get URLs (#/projects/shaders) - Back/Forward replay them
+const router = new Router({ registry: commands, terminal });
+router.enable();
 
-// Run sequence, then spawn rabbit
-async function main() {
-  try {
-    // Preload rabbit spritesheet before starting
-    await preloadImage(rabbitSpritesheetUrl);
+// ============================================
+// Intro Script
+// ============================================
 
-    await terminal.run(introSequence);
+// Variables for {placeholders} and "when" conditions in scripts
+const scriptVars = {
+  ...Object.fromEntries(params),   // Every URL param (?name=, ?script=, ...)
+  name: username,
+  returning: session.isReturning,  // Picks the shorter returning.json script
+  deepLink: !!router.initialLine,   // Opened on a page - deeplink.json, no story
+};
+
+// Hooks scripts can call with { "hook": "..." }
+const scriptHooks = {
+  spawnRabbit,
+  // { "hook": "rain" } starts it, { "hook": "rain", "args": { "on": false } } stops it
+  rain: ({ on = true }) => (on ? rain.start() : rain.stop()),
+};
 
-    // Get cursor position and hide cursor
-    const cursorPos = terminal.getCursorPosition();
+/**
+ * Reads lines from the visitor and runs them as commands, one at a time
+ */
+async function readInputLoop() {
+  while (true) {
+    // The prompt also takes lines entered for the visitor (Back/Forward)
+    const line = await terminal.readLine({ acceptEntered: true });
+    await commands.execute(line);
+  }
+}
 
-    await sleep(1500); // Wait before hiding cursor
+// Play the intro script, then hand over the keyboard
+async function main() {
+  try {
+    // Preload rabbit spritesheet before starting
+    await preloadImage(RABBIT_CONFIG.sheet.url);
 
-    terminal.hideCursor();
+    await terminal.run(selectScript(scriptVars), {
+      vars: scriptVars,
+      hooks: scriptHooks,
+      translate: getMessage,
+    });
+    session.recordVisit();
 
-    // Spawn rabbit at cursor position (inside CRT container)
-    rabbit = new Rabbit();
-    rabbit.spawnAndDrop(cursorPos.x, cursorPos.y, crtScreen);
-    rabbit.enableMouseReaction();
+    // Hand the keyboard to the visitor
+    terminal.setPrompt(fs.pathOf());
+    // Opened on a page: show it as the first command
+    if (router.initialLine) terminal.enterLine(router.initialLine);
+    await readInputLoop();
 
   } catch (error) {
     console.error('Failed to initialize terminal:', error);
@@ -307,7 +256,7 @@ async function main() {
     if (terminalEl) {
       terminalEl.innerHTML = `
         <div style="color: var(--terminal-green, #8fff8f); padding: 2rem; font-family: monospace;">
-          > System error. Please refresh the page.
+          > ${t('error.fallback')}
         </div>
       `;
     }
@@ -0,0 +1,35 @@
+/**
+ * Script Conditions & Interpolation
+ *
+ * Shared by Terminal.run() (per-step `when`) and selectScript() (per-script `when`).
+ *
+ * A condition is an object of variable -> expected value:
+ *   { name: true }         name is set (non-empty)
+ *   { name: false }        name is not set
+ *   { script: 'glitch' }   script equals "glitch"
+ * All entries must match. A missing condition always matches.
+ */
+
+/**
+ * @param {Object|undefined} condition
+ * @param {Object} vars - Script variables (URL params, visitor state...)
+ * @returns {boolean}
+ */
+export function matchesCondition(condition, vars) {
+  if (!condition) return true;
+
+  return Object.entries(condition).every(([key, expected]) => {
+    const value = vars[key];
+    if (expected === true) return Boolean(value);
+    if (expected === false) return !value;
+    return String(value) === String(expected);
+  });
+}
+
+/**
+ * Replaces {placeholders} with variables (missing ones become empty)
+ * Example: "Wake up, {name}..." + { name: 'Alice' } -> "Wake up, Alice..."
+ */
+export function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => vars[key] ?? '');
+}
@@ -0,0 +1,45 @@
+/**
+ * Intro Scripts
+ *
+ * Story beats are JSON files played by Terminal.run() - add a new
+ * beat by adding a script here, no changes to main() needed.
+ *
+ * Script file:
+ *   {
+ *     "name": "intro",
+ *     "when": { "returning": true },   // optional - when this script is chosen
+ *     "steps": [ ... ]
+ *   }
+ *
+ * Steps (each may also have a "when" condition, see conditions.js):
+ *   { "text": "Wake up, {name}..." }             type text ({vars} interpolated)
+ *   { "text": "...", "submit": true }            type text, then Enter
+ *   { "message": "intro.follow" }                type a translated message (src/i18n/),
+ *                                                same options as "text"
+ *   { "submit": true }                           Enter (move line to history)
+ *   { "pause": 1500 }                            wait ms (skippable)
+ *   { "delete": 3 }                              backspace 3 chars ("all" = whole line)
+ *   { "clear": true }                            clear the screen
+ *   { "prompt": "root" }                         change the prompt label
+ *   { "hook": "spawnRabbit", "args": {...} }     call a hook registered by main()
+ */
+
+import { matchesCondition } from './conditions.js';
+import intro from './intro.json';
+import returning from './returning.json';
+import deeplink from './deeplink.json';
+import glitch from './glitch.json';
+
+// Checked in order - the first script whose "when" matches is played.
+// Scripts without a "when" match everything, so the default goes last.
+// A deep link (#/projects/...) skips the story and goes straight to the page.
+export const SCRIPTS = [glitch, deeplink, returning, intro];
+
+/**
+ * Picks the script to play
+ * @param {Object} vars - Script variables (URL params, visitor state...)
+ * @returns {Object} Script
+ */
+export function selectScript(vars, scripts = SCRIPTS) {
+  return scripts.find(script => matchesCondition(script.when, vars)) ?? intro;
+}
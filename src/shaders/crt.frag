@@ -0,0 +1,121 @@
+// CRT pass - fragment shader
+//
+// Post-processes a snapshot of #crt-screen (systems/ScreenCapture.js) into
+// a curved phosphor tube. Same CRT_CONFIG values as the CSS effects, applied
+// in order: curvature -> blur -> chromatic aberration -> bloom -> scanlines
+// -> vignette -> flicker.
+//
+// Distances come in CSS px and are scaled by uPixelRatio here, so the look
+// matches the CSS version on any screen density.
+//
+// The snapshot leaves out what changes every frame: the digital rain comes
+// in as its own texture (behind the snapshot's transparent parts) and the
+// cursor as a box whose colors are inverted.
+
+// Scanlines count pixels down the screen - mediump can't resolve 1px at 1000+
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+uniform sampler2D uImage;        // The screen snapshot
+uniform sampler2D uRainImage;    // The digital rain canvas
+uniform float uRain;             // 1 while it rains
+uniform vec2 uResolution;        // Canvas size (device px)
+uniform float uPixelRatio;       // Device px per CSS px
+
+uniform float uCurvature;        // Barrel distortion, 0 = flat
+uniform float uBlur;             // px
+uniform float uRgbOffset;        // px
+uniform float uRgbIntensity;     // 0-1
+uniform float uGlowIntensity;    // Bloom strength multiplier
+uniform float uGlowSpread;       // Bloom radius multiplier
+uniform float uBloomRadius;      // px at glowSpread 1
+uniform float uScanlineOpacity;  // 0-1
+uniform float uScanlineSpacing;  // px between dark lines
+uniform float uScanlineSize;     // px thickness of dark lines
+uniform float uVignetteIntensity;// 0-1
+uniform float uVignetteSize;     // 0-1 from center where the darkening starts
+uniform float uBrightness;       // Flicker (the screen's opacity)
+uniform vec4 uCursor;            // Lit cursor box: x, y, width, height (CSS px from the top-left)
+uniform vec3 uTextColor;         // Theme colors the cursor swaps
+uniform vec3 uBackgroundColor;
+
+varying vec2 vUv;
+
+const int BLOOM_TAPS = 12;
+const float TAU = 6.2831853;
+
+// Curved glass: samples further out the further from the center,
+// so the picture bulges and the corners fall off the tube
+vec2 barrel(vec2 uv) {
+  vec2 centered = uv - 0.5;
+  float amount = dot(centered, centered) * uCurvature;
+  return uv + centered * (1.0 + amount) * amount;
+}
+
+vec3 sampleScreen(vec2 uv) {
+  vec4 snapshot = texture2D(uImage, uv);
+  vec3 color = snapshot.rgb;
+  if (uRain > 0.5) {
+    color = mix(texture2D(uRainImage, uv).rgb, snapshot.rgb, snapshot.a);
+  }
+
+  // Cursor: text color on background, background on text (a character under it)
+  vec2 position = vec2(uv.x, 1.0 - uv.y) * uResolution / uPixelRatio;
+  if (all(greaterThanEqual(position, uCursor.xy)) && all(lessThan(position, uCursor.xy + uCursor.zw))) {
+    color = uTextColor + uBackgroundColor - color;
+  }
+  return color;
+}
+
+void main() {
+  vec2 uv = barrel(vUv);
+
+  // Outside the tube
+  if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+
+  vec2 px = uPixelRatio / uResolution;  // One CSS px in uv units
+  vec3 color = sampleScreen(uv);
+
+  // Phosphor softness - a small cross blur
+  if (uBlur > 0.0) {
+    vec2 b = px * uBlur;
+    color = color * 0.4 + 0.15 * (
+      sampleScreen(uv + vec2(b.x, 0.0)) + sampleScreen(uv - vec2(b.x, 0.0)) +
+      sampleScreen(uv + vec2(0.0, b.y)) + sampleScreen(uv - vec2(0.0, b.y))
+    );
+  }
+
+  // Chromatic aberration - red fringe to the left, blue to the right
+  vec2 split = vec2(px.x * uRgbOffset, 0.0);
+  color.r = max(color.r, sampleScreen(uv + split).r * uRgbIntensity);
+  color.b = max(color.b, sampleScreen(uv - split).b * uRgbIntensity);
+
+  // Bloom - light bleeding from bright pixels nearby, two rings of taps
+  vec3 bloom = vec3(0.0);
+  float radius = uBloomRadius * uGlowSpread;
+  for (int i = 0; i < BLOOM_TAPS; i++) {
+    float angle = TAU * float(i) / float(BLOOM_TAPS);
+    vec2 offset = vec2(cos(angle), sin(angle)) * px * radius;
+    bloom += sampleScreen(uv + offset) + sampleScreen(uv + offset * 2.5);
+  }
+  color += bloom / float(BLOOM_TAPS * 2) * uGlowIntensity;
+
+  // Scanlines - counted in CSS px from the top, following the curve
+  float y = (1.0 - uv.y) * uResolution.y / uPixelRatio;
+  float period = uScanlineSpacing + uScanlineSize;
+  if (mod(y, period) >= uScanlineSpacing) {
+    color *= 1.0 - uScanlineOpacity;
+  }
+
+  // Vignette - 0 at the center, 1 in the corners (like the CSS ellipse)
+  float edge = length(vUv - 0.5) / 0.7071;
+  color *= 1.0 - uVignetteIntensity * clamp((edge - uVignetteSize) / (1.0 - uVignetteSize), 0.0, 1.0);
+
+  gl_FragColor = vec4(color * uBrightness, 1.0);
+}
@@ -0,0 +1,11 @@
+// CRT pass - vertex shader
+// One full-screen quad; uv runs 0-1 from the bottom-left corner.
+
+attribute vec2 aPosition;  // Clip space, -1 to 1
+
+varying vec2 vUv;
+
+void main() {
+  vUv = aPosition * 0.5 + 0.5;
+  gl_Position = vec4(aPosition, 0.0, 1.0);
+}
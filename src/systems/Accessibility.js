@@ -0,0 +1,183 @@
+/**
+ * Accessibility Mode
+ *
+ * One switch for a calmer page:
+ * - No CRT flicker, RGB split or blur (photosensitivity)
+ * - Instant typing
+ * - Static rabbit frames instead of spawn/jump animations
+ *
+ * Follows the OS "reduce motion" setting (prefers-reduced-motion) unless
+ * the visitor picked on/off explicitly (toggle button or `a11y` command),
+ * which is remembered in localStorage.
+ *
+ * Sets data-a11y="on" on <html> so CSS and sprites can check it.
+ */
+
+import { setReducedMotion } from '../config/crt.js';
+import { clampSpeed } from '../commands/speed.js';
+import { t, onLanguageChange } from '../i18n/index.js';
+
+export const A11Y_STORAGE_KEY = 'a11y.mode';   // 'on' | 'off' | missing (= follow OS)
+const MEDIA_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * True while accessibility mode is on (safe to call from anywhere)
+ */
+export function isReducedMotion() {
+  return document.documentElement.dataset.a11y === 'on';
+}
+
+export class AccessibilityMode {
+  /**
+   * @param {Object} options
+   * @param {Terminal} options.terminal - Typing switches to instant while enabled
+   * @param {HTMLElement} options.screenElement - #crt-screen (flicker target)
+   */
+  constructor({ terminal, screenElement }) {
+    this.terminal = terminal;
+    this.screen = screenElement;
+    this.enabled = false;
+    this.speedBeforeEnable = null;  // Restored when the mode turns off
+    this.sessionPreference = null;  // Fallback when localStorage is unavailable
+    this.toggleButton = null;
+    this.removeLanguageListener = onLanguageChange(() => this.updateToggleButton());
+
+    // matchMedia is like a live query: .matches now, 'change' event later
+    this.mediaQuery = window.matchMedia?.(MEDIA_QUERY) ?? null;
+    this.mediaHandler = () => this.update();
+    this.mediaQuery?.addEventListener('change', this.mediaHandler);
+
+    this.update();
+  }
+
+  /**
+   * Stored preference: 'on', 'off' or null (follow the OS setting)
+   */
+  get preference() {
+    try {
+      const value = localStorage.getItem(A11Y_STORAGE_KEY);
+      return value === 'on' || value === 'off' ? value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Sets (and remembers) the preference, then applies it
+   * @param {'on'|'off'|'auto'} mode - 'auto' forgets the choice and follows the OS
+   */
+  setPreference(mode) {
+    this.sessionPreference = mode;
+    try {
+      if (mode === 'auto') {
+        localStorage.removeItem(A11Y_STORAGE_KEY);
+      } else {
+        localStorage.setItem(A11Y_STORAGE_KEY, mode);
+      }
+    } catch {
+      // Not persisted - still applies for this visit via sessionPreference
+    }
+    this.update();
+  }
+
+  /**
+   * Flips the mode (explicit choice, remembered)
+   */
+  toggle() {
+    this.setPreference(this.enabled ? 'off' : 'on');
+  }
+
+  /**
+   * Re-evaluates preference + media query and applies the result
+   */
+  update() {
+    const preference = this.preference ?? this.sessionPreference ?? 'auto';
+    const enabled = preference === 'auto'
+      ? Boolean(this.mediaQuery?.matches)
+      : preference === 'on';
+
+    if (enabled !== this.enabled) {
+      this.apply(enabled);
+    }
+  }
+
+  /**
+   * Applies the mode to CSS, CRT effects and typing
+   */
+  apply(enabled) {
+    this.enabled = enabled;
+    document.documentElement.dataset.a11y = enabled ? 'on' : 'off';
+
+    setReducedMotion(enabled, this.screen);
+
+    if (enabled) {
+      this.speedBeforeEnable = this.terminal.speed;
+      this.terminal.setSpeed(Infinity);
+    } else if (this.speedBeforeEnable !== null) {
+      this.terminal.setSpeed(this.speedBeforeEnable);
+      this.speedBeforeEnable = null;
+    }
+
+    this.updateToggleButton();
+  }
+
+  /**
+   * The visitor's typing speed - what the terminal types at outside
+   * accessibility mode (inside it, typing is always instant)
+   */
+  get typingSpeed() {
+    return this.enabled ? this.speedBeforeEnable : this.terminal.speed;
+  }
+
+  /**
+   * Changes the typing speed (`speed`). While the mode is on, typing
+   * stays instant and the new speed applies once it's turned off.
+   */
+  setTypingSpeed(speed) {
+    if (this.enabled) {
+      // Clamped like Terminal.setSpeed would - `speed` reports this value
+      this.speedBeforeEnable = clampSpeed(speed);
+    } else {
+      this.terminal.setSpeed(speed);
+    }
+  }
+
+  /**
+   * Adds an on-page toggle button
+   * @param {HTMLElement} parent
+   */
+  createToggle(parent = document.body) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'a11y-toggle';
+    button.addEventListener('click', (e) => {
+      // Don't let the click also fast-forward the terminal
+      e.stopPropagation();
+      this.toggle();
+    });
+    // Same for Enter/Space - the terminal's document key handlers would
+    // fast-forward, or take the key as typing
+    button.addEventListener('keydown', (e) => e.stopPropagation());
+
+    parent.appendChild(button);
+    this.toggleButton = button;
+    this.updateToggleButton();
+    return button;
+  }
+
+  updateToggleButton() {
+    if (!this.toggleButton) return;
+    this.toggleButton.textContent = t(this.enabled ? 'a11y.toggleOn' : 'a11y.toggleOff');
+    this.toggleButton.setAttribute('aria-pressed', String(this.enabled));
+  }
+
+  /**
+   * Removes listeners and the toggle button
+   */
+  destroy() {
+    this.mediaQuery?.removeEventListener('change', this.mediaHandler);
+    this.removeLanguageListener();
+    this.toggleButton?.remove();
+    this.toggleButton = null;
+  }
+}
@@ -0,0 +1,440 @@
+/**
+ * WebGL CRT Renderer
+ *
+ * The CRT look as a real post-processing pass: the whole #crt-screen is
+ * captured into a texture (systems/ScreenCapture.js) and drawn through a
+ * fragment shader (shaders/crt.frag) - barrel distortion, phosphor bloom,
+ * scanlines, chromatic aberration and vignette, from the same CRT_CONFIG
+ * values as the CSS effects. Think of it as a full-screen Blit with a
+ * material in a Unity render pipeline.
+ *
+ * The live DOM stays where it is, just invisible, so clicks, focus, text
+ * input and screen readers work as before. The canvas on top only shows
+ * the processed picture.
+ *
+ * It follows data-crt on <html>: it runs while the era has CRT effects
+ * and steps aside otherwise. Without WebGL (or if anything fails - lost
+ * context, a capture the browser won't let us read) it never takes over
+ * and the CSS effects stay in charge.
+ *
+ * Flicker isn't reimplemented: the shader dims the picture by the
+ * screen's live opacity, which the CSS flicker animation and the flicker
+ * spikes (config/crt.js) keep changing.
+ *
+ * What changes constantly stays out of the snapshot, so a new one is only
+ * taken when the content does:
+ * - The cursor: the shader inverts its box, blinking with the live cursor
+ * - The digital rain: its canvas is a second texture, shown through the
+ *   snapshot's transparent background (a new upload per rain step)
+ */
+
+import vertexSource from '../shaders/crt.vert?raw';
+import fragmentSource from '../shaders/crt.frag?raw';
+import { getActiveConfig } from '../config/crt.js';
+import { ScreenCapture } from './ScreenCapture.js';
+
+// Set on <html> while the shader draws the screen (CSS hides the live DOM)
+const RENDERER_ATTRIBUTE = 'data-crt-renderer';
+
+// Snapshot-only CSS: animations are frozen (ScreenCapture inlines their
+// current values) and the terminal drops the CSS versions of effects the
+// shader now does. Sprites keep their own glow - it reacts to the pointer.
+// The cursor is left in its "off" state - the shader draws it.
+const CAPTURE_STYLES = `
+*, *::before, *::after { animation: none !important; transition: none !important; }
+.terminal.crt-effects { filter: none; text-shadow: none; }
+.cursor { opacity: 0 !important; }
+.cursor.on-char { opacity: 1 !important; background-color: transparent !important; color: inherit !important; }
+`;
+
+// Drawn by the shader instead of captured (see module comment)
+const CURSOR_SELECTOR = '.cursor';
+const RAIN_SELECTOR = '.rain-canvas';
+
+// Two triangles covering clip space
+const QUAD = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+
+export class CRTRenderer {
+  /**
+   * True if the browser can create a WebGL context
+   */
+  static isSupported() {
+    try {
+      return !!document.createElement('canvas').getContext('webgl');
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @param {HTMLElement} screenElement - #crt-screen
+   */
+  constructor(screenElement) {
+    this.screen = screenElement;
+
+    // WebGL state (created on first start)
+    this.canvas = null;
+    this.gl = null;
+    this.program = null;
+    this.texture = null;
+    this.rainTexture = null;
+    this.uniforms = {};
+    this.capture = null;
+
+    this.isEnabled = false;   // Following data-crt
+    this.isRunning = false;   // Drawing frames
+    this.hasFailed = false;   // Gave up - CSS effects for good
+    this.hasFrame = false;    // A snapshot is in the texture
+    this.rainFrame = null;    // Rain step in rainTexture (null = no rain)
+    this.colors = null;       // { text, background } as [r, g, b] 0-1
+
+    // Size of the screen (CSS px) and canvas resolution
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+
+    this.frameId = null;
+    this.lastCaptureTime = -Infinity;
+    this.frameHandler = (now) => this.render(now);
+
+    this.rootObserver = new MutationObserver(() => this.sync());
+    this.colorContext = null;  // 1x1 canvas for parsing CSS colors
+    this.resizeHandler = () => this.resize();
+    this.contextLostHandler = (e) => {
+      e.preventDefault();
+      this.fail(new Error('WebGL context lost'));
+    };
+  }
+
+  /**
+   * Takes over the CRT effects whenever they're on
+   * @returns {boolean} false if WebGL is unavailable (CSS effects stay)
+   */
+  enable() {
+    if (!getActiveConfig().webgl.enabled || !CRTRenderer.isSupported()) return false;
+
+    this.isEnabled = true;
+    this.rootObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-crt', 'data-era'],  // Era: new cursor colors
+    });
+    this.sync();
+    return true;
+  }
+
+  /**
+   * Hands the effects back to CSS
+   */
+  disable() {
+    this.isEnabled = false;
+    this.rootObserver.disconnect();
+    this.stop();
+  }
+
+  /**
+   * Starts or stops to match data-crt on <html>
+   */
+  sync() {
+    const isCRTOn = document.documentElement.dataset.crt === 'on';
+    this.colors = null;  // Re-read on the next draw
+
+    if (this.isEnabled && isCRTOn && !this.hasFailed) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    try {
+      if (!this.gl) this.init();
+    } catch (error) {
+      this.fail(error);
+      return;
+    }
+
+    this.isRunning = true;
+    this.resize();
+    window.addEventListener('resize', this.resizeHandler);
+
+    // The first frame needs fonts inlined - the CSS effects show until then
+    this.capture.prepare()
+      .then(() => {
+        if (this.isRunning && !this.frameId) {
+          this.frameId = requestAnimationFrame(this.frameHandler);
+        }
+      })
+      .catch(error => this.fail(error));
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.hasFrame = false;
+    this.rainFrame = null;
+    window.removeEventListener('resize', this.resizeHandler);
+    document.documentElement.removeAttribute(RENDERER_ATTRIBUTE);
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Falls back to the CSS effects for the rest of the visit
+   */
+  fail(error) {
+    console.warn('WebGL CRT renderer unavailable, using CSS effects:', error);
+    this.hasFailed = true;
+    this.stop();
+  }
+
+  /**
+   * Creates the canvas, shader program, quad and texture
+   */
+  init() {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'crt-canvas';
+    canvas.setAttribute('aria-hidden', 'true');
+
+    const gl = canvas.getContext('webgl', { alpha: false, antialias: false });
+    if (!gl) throw new Error('Could not create a WebGL context');
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+    }
+    gl.useProgram(program);
+
+    // Full-screen quad
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, QUAD, gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'aPosition');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    // Snapshot (unit 0) and rain (unit 1) textures
+    const texture = createTexture(gl, 0);
+    const rainTexture = createTexture(gl, 1);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);  // Canvas rows run top-down, uv bottom-up
+
+    const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < count; i++) {
+      const { name } = gl.getActiveUniform(program, i);
+      this.uniforms[name] = gl.getUniformLocation(program, name);
+    }
+
+    canvas.addEventListener('webglcontextlost', this.contextLostHandler);
+    document.body.appendChild(canvas);
+
+    this.canvas = canvas;
+    this.gl = gl;
+    this.program = program;
+    this.texture = texture;
+    this.rainTexture = rainTexture;
+    this.capture = new ScreenCapture(this.screen, {
+      // Flicker is read as brightness, the cursor blink drawn by the shader
+      ignore: ['crt-flicker', 'blink', 'blink-inverse'],
+      exclude: [RAIN_SELECTOR],
+      styles: CAPTURE_STYLES,
+      omitRootAttributes: [RENDERER_ATTRIBUTE],
+    });
+  }
+
+  /**
+   * Matches the canvas to the screen size and density
+   */
+  resize() {
+    this.width = this.screen.clientWidth;
+    this.height = this.screen.clientHeight;
+    this.pixelRatio = Math.min(window.devicePixelRatio || 1, getActiveConfig().webgl.maxPixelRatio);
+
+    this.canvas.width = Math.round(this.width * this.pixelRatio);
+    this.canvas.height = Math.round(this.height * this.pixelRatio);
+    this.capture.invalidate();
+  }
+
+  /**
+   * One browser frame: refresh the snapshot if something changed, then draw
+   */
+  render(now) {
+    this.frameId = requestAnimationFrame(this.frameHandler);
+
+    const config = getActiveConfig();
+    const isCaptureDue = now - this.lastCaptureTime >= 1000 / config.webgl.captureFps;
+
+    if (isCaptureDue && !this.capture.isCapturing && this.capture.needsCapture()) {
+      this.lastCaptureTime = now;
+      this.capture.capture(this.width, this.height, this.pixelRatio)
+        .then(captured => captured && this.upload())
+        .catch(error => this.fail(error));
+    }
+
+    if (this.hasFrame) {
+      this.uploadRain();
+      this.draw(config);
+    }
+  }
+
+  /**
+   * Copies the latest snapshot into the texture
+   * Throws if the browser marked the snapshot unreadable (handled by fail())
+   */
+  upload() {
+    if (!this.isRunning) return;
+
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.capture.canvas);
+
+    // First good frame - swap the CSS effects for the canvas
+    if (!this.hasFrame) {
+      this.hasFrame = true;
+      document.documentElement.setAttribute(RENDERER_ATTRIBUTE, 'webgl');
+    }
+  }
+
+  /**
+   * Copies the rain canvas into its texture when it drew a new step
+   * (DigitalRain counts them in data-frame)
+   */
+  uploadRain() {
+    const rain = this.screen.querySelector(RAIN_SELECTOR);
+    const frame = rain && rain.width > 0 ? rain.dataset.frame ?? '0' : null;
+    if (frame === this.rainFrame) return;
+
+    this.rainFrame = frame;
+    if (frame === null) return;
+
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.rainTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, rain);
+  }
+
+  /**
+   * The live cursor's box (CSS px from the screen's top-left) while it's
+   * lit - it blinks with its own CSS animation, hidden or not
+   * @returns {number[]} [x, y, width, height], all 0 when not shown
+   */
+  readCursor() {
+    const cursor = this.screen.querySelector(CURSOR_SELECTOR);
+    if (!cursor) return [0, 0, 0, 0];
+
+    const style = getComputedStyle(cursor);
+    const isLit = cursor.classList.contains('on-char')
+      ? style.backgroundColor !== 'rgba(0, 0, 0, 0)' && style.backgroundColor !== 'transparent'
+      : parseFloat(style.opacity) > 0;
+    if (style.display === 'none' || !isLit) return [0, 0, 0, 0];
+
+    const box = cursor.getBoundingClientRect();
+    const screen = this.screen.getBoundingClientRect();
+    return [box.left - screen.left, box.top - screen.top, box.width, box.height];
+  }
+
+  /**
+   * Theme colors the cursor inverts between (re-read after era changes)
+   */
+  readColors() {
+    this.colorContext ??= document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+    const style = getComputedStyle(document.documentElement);
+    const parse = (value) => {
+      const context = this.colorContext;
+      context.fillStyle = '#000';
+      context.fillStyle = value.trim() || '#000';
+      context.fillRect(0, 0, 1, 1);
+      return [...context.getImageData(0, 0, 1, 1).data.slice(0, 3)].map(channel => channel / 255);
+    };
+
+    return {
+      text: parse(style.getPropertyValue('--text-primary')),
+      background: parse(style.getPropertyValue('--bg-primary')),
+    };
+  }
+
+  /**
+   * Runs the shader over the snapshot
+   */
+  draw(config) {
+    const gl = this.gl;
+    const u = this.uniforms;
+    const { webgl } = config;
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+    this.colors ??= this.readColors();
+
+    gl.uniform1i(u.uImage, 0);
+    gl.uniform1i(u.uRainImage, 1);
+    gl.uniform1f(u.uRain, this.rainFrame === null ? 0 : 1);
+    gl.uniform4fv(u.uCursor, this.readCursor());
+    gl.uniform3fv(u.uTextColor, this.colors.text);
+    gl.uniform3fv(u.uBackgroundColor, this.colors.background);
+    gl.uniform2f(u.uResolution, this.canvas.width, this.canvas.height);
+    gl.uniform1f(u.uPixelRatio, this.pixelRatio);
+
+    gl.uniform1f(u.uCurvature, webgl.curvature);
+    gl.uniform1f(u.uBlur, config.blur);
+    gl.uniform1f(u.uRgbOffset, config.rgbOffset);
+    gl.uniform1f(u.uRgbIntensity, config.rgbIntensity);
+    gl.uniform1f(u.uGlowIntensity, config.glowIntensity * webgl.bloomStrength);
+    gl.uniform1f(u.uGlowSpread, config.glowSpread);
+    gl.uniform1f(u.uBloomRadius, webgl.bloomRadius);
+    gl.uniform1f(u.uScanlineOpacity, config.scanlineOpacity);
+    gl.uniform1f(u.uScanlineSpacing, config.scanlineSpacing);
+    gl.uniform1f(u.uScanlineSize, config.scanlineSize);
+    gl.uniform1f(u.uVignetteIntensity, config.vignetteIntensity);
+    gl.uniform1f(u.uVignetteSize, config.vignetteSize / 100);
+    gl.uniform1f(u.uBrightness, parseFloat(getComputedStyle(this.screen).opacity));
+
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  destroy() {
+    this.disable();
+    this.capture?.destroy();
+    this.canvas?.removeEventListener('webglcontextlost', this.contextLostHandler);
+    this.canvas?.remove();
+    this.gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    this.gl = null;
+  }
+}
+
+/**
+ * Creates a texture on a texture unit - any size, so no mipmaps and
+ * clamped edges (WebGL 1 rules)
+ */
+function createTexture(gl, unit) {
+  const texture = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  // A transparent pixel until the first upload - never sampled incomplete
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+  return texture;
+}
+
+/**
+ * Compiles one shader stage, throwing with the driver's log on error
+ */
+function compileShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Shader compile failed: ${log}`);
+  }
+  return shader;
+}
@@ -0,0 +1,214 @@
+/**
+ * Chase Game
+ *
+ * "Catch the white rabbit": click (or tap) the rabbit as many times as
+ * you can before the clock runs out. While the game runs the rabbit
+ * flees harder - it notices the pointer from further away and always
+ * jumps hard, away from it.
+ *
+ * Catches in quick succession build a combo: each one inside the combo
+ * window raises the points multiplier (and the rabbit's glow); let the
+ * window run out and it drops back to x1.
+ *
+ *   const game = new ChaseGame({ scene, rabbit, difficulty: 'hard' });
+ *   const result = await game.play();
+ *   // -> { score, catches, bestCombo, difficulty, completed }
+ *
+ * The clock runs on scene time (Scene.addSystem), so it pauses with the
+ * scene when the tab is hidden. Escape ends the game early.
+ *
+ * The HUD is a terminal-style status line over the screen; it's hidden
+ * from screen readers - the `play` command prints the results instead.
+ */
+
+import { GAME_CONFIG } from '../config/game.js';
+import { RABBIT_CONFIG } from '../config/animations.js';
+import { t } from '../i18n/index.js';
+
+export class ChaseGame {
+  /**
+   * @param {Object} options
+   * @param {Scene} options.scene - Drives the clock, hosts the HUD
+   * @param {Rabbit} options.rabbit - The rabbit to chase
+   * @param {string} options.difficulty - Key of GAME_CONFIG.difficulties
+   */
+  constructor({ scene, rabbit, difficulty = GAME_CONFIG.defaultDifficulty }) {
+    const settings = GAME_CONFIG.difficulties[difficulty];
+    if (!settings) {
+      throw new Error(`Unknown difficulty: ${difficulty}`);
+    }
+
+    this.scene = scene;
+    this.rabbit = rabbit;
+    this.difficulty = difficulty;
+    this.settings = settings;
+
+    // Game state
+    this.phase = 'idle';          // idle -> countdown -> running -> over
+    this.countdownLeft = GAME_CONFIG.countdown;  // s
+    this.timeLeft = settings.duration;           // s
+    this.score = 0;
+    this.catches = 0;
+    this.combo = 0;               // Current multiplier (0 = no combo yet)
+    this.bestCombo = 0;
+    this.comboLeft = 0;           // ms left to extend the combo
+    this.lastCatchTime = -Infinity;  // Scene time (s) of the last catch
+
+    this.hud = null;
+    this.resolvePlay = null;
+
+    this.pointerHandler = (e) => this.tryCatch(e.clientX, e.clientY);
+    this.keyHandler = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      this.finish(false);
+    };
+  }
+
+  /**
+   * Runs the game: countdown, then the clock
+   * @returns {Promise<Object>} Result (see module comment) - completed is
+   *   false if the game was quit or the rabbit went away
+   */
+  play() {
+    return new Promise(resolve => {
+      this.resolvePlay = resolve;
+      this.phase = 'countdown';
+
+      this.hud = document.createElement('div');
+      this.hud.className = 'chase-hud';
+      this.hud.setAttribute('aria-hidden', 'true');
+      this.scene.container.appendChild(this.hud);
+
+      this.rabbit.setFlee({
+        threshold: RABBIT_CONFIG.mouseThreshold * this.settings.fleeRadius,
+        minStrength: this.settings.minJumpStrength,
+        cooldown: this.settings.jumpCooldown,
+      });
+
+      document.addEventListener('pointerdown', this.pointerHandler);
+      document.addEventListener('keydown', this.keyHandler);
+      this.scene.addSystem(this);
+      this.render();
+    });
+  }
+
+  /**
+   * Per-step update from the Scene loop
+   */
+  update(dt) {
+    if (this.rabbit.isDestroyed) {
+      this.finish(false);
+      return;
+    }
+
+    if (this.phase === 'countdown') {
+      this.countdownLeft -= dt;
+      if (this.countdownLeft <= 0) this.phase = 'running';
+    } else if (this.phase === 'running') {
+      this.timeLeft = Math.max(this.timeLeft - dt, 0);
+
+      if (this.combo > 0) {
+        this.comboLeft -= dt * 1000;
+        if (this.comboLeft <= 0) this.setCombo(0);
+      }
+
+      if (this.timeLeft === 0) {
+        this.finish(true);
+        return;
+      }
+    }
+
+    this.render();
+  }
+
+  /**
+   * Counts a catch if the point is close enough to the rabbit's feet
+   */
+  tryCatch(clientX, clientY) {
+    if (this.phase !== 'running') return;
+
+    const sinceLastCatch = (this.scene.time - this.lastCatchTime) * 1000;
+    if (sinceLastCatch < GAME_CONFIG.catchCooldown) return;
+
+    const { distance } = this.rabbit.getDistanceToBottomCenter(clientX, clientY);
+    if (distance > RABBIT_CONFIG.clickRadius * this.settings.catchRadius) return;
+
+    this.lastCatchTime = this.scene.time;
+    this.catches++;
+    this.setCombo(Math.min(this.combo + 1, GAME_CONFIG.combo.maxMultiplier));
+    this.comboLeft = GAME_CONFIG.combo.window;
+    this.score += this.settings.points * this.combo;
+
+    // Caught - it bolts
+    this.rabbit.poke(this.rabbit.directionAwayFromPointer(), 1);
+    this.render();
+  }
+
+  /**
+   * Sets the multiplier and the rabbit's glow to match
+   */
+  setCombo(combo) {
+    this.combo = combo;
+    this.bestCombo = Math.max(this.bestCombo, combo);
+    this.rabbit.setGlowBonus(combo * GAME_CONFIG.combo.glowPerLevel);
+  }
+
+  /**
+   * Redraws the HUD line
+   */
+  render() {
+    if (!this.hud) return;
+
+    if (this.phase === 'countdown') {
+      this.hud.textContent = t('play.hudReady', { seconds: Math.ceil(this.countdownLeft) });
+      return;
+    }
+
+    const seconds = Math.ceil(this.timeLeft);
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    const score = String(this.score).padStart(6, '0');
+    this.hud.textContent = t('play.hud', { score, time, combo: this.renderCombo() });
+  }
+
+  /**
+   * Multiplier plus a meter draining over the combo window: x3 [######----]
+   */
+  renderCombo() {
+    const width = 10;
+    const filled = this.combo > 0
+      ? Math.ceil((this.comboLeft / GAME_CONFIG.combo.window) * width)
+      : 0;
+    return `x${Math.max(this.combo, 1)} [${'#'.repeat(filled)}${'-'.repeat(width - filled)}]`;
+  }
+
+  /**
+   * Ends the game and restores the rabbit
+   * @param {boolean} completed - Ran out the clock (vs quit early)
+   */
+  finish(completed) {
+    if (this.phase === 'over') return;
+    this.phase = 'over';
+
+    this.scene.removeSystem(this);
+    document.removeEventListener('pointerdown', this.pointerHandler);
+    document.removeEventListener('keydown', this.keyHandler);
+    this.hud?.remove();
+    this.hud = null;
+
+    if (!this.rabbit.isDestroyed) {
+      this.rabbit.setFlee(null);
+      this.rabbit.setGlowBonus(0);
+    }
+
+    const resolve = this.resolvePlay;
+    this.resolvePlay = null;
+    resolve?.({
+      score: this.score,
+      catches: this.catches,
+      bestCombo: this.bestCombo,
+      difficulty: this.difficulty,
+      completed,
+    });
+  }
+}
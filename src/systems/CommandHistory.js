@@ -0,0 +1,127 @@
+/**
+ * Command History
+ *
+ * The list of lines the visitor has submitted, newest last.
+ * Persists to localStorage so history survives reloads, and tracks
+ * the up/down arrow navigation position and reverse search.
+ */
+
+import { TERMINAL_CONFIG } from '../config/terminal.js';
+
+export class CommandHistory {
+  constructor({
+    maxEntries = TERMINAL_CONFIG.historySize,
+    storageKey = TERMINAL_CONFIG.historyStorageKey,
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.storageKey = storageKey;
+    this.entries = this.load();
+
+    // Arrow-key navigation state
+    this.position = this.entries.length;  // entries.length = "not navigating"
+    this.draft = '';                      // Unsent line saved when navigation starts
+  }
+
+  /**
+   * Records a submitted line and resets navigation
+   */
+  add(line) {
+    const text = line.trim();
+
+    // Skip blanks and immediate repeats (like HISTCONTROL=ignoredups)
+    if (text && text !== this.entries[this.entries.length - 1]) {
+      this.entries.push(text);
+      if (this.entries.length > this.maxEntries) {
+        this.entries.splice(0, this.entries.length - this.maxEntries);
+      }
+      this.save();
+    }
+
+    this.resetNavigation();
+  }
+
+  /**
+   * Moves one entry back (ArrowUp)
+   * @param {string} currentLine - Line being edited, restored when navigating back down
+   * @returns {string|null} Entry to show, or null if already at the oldest
+   */
+  previous(currentLine) {
+    if (this.position === 0) return null;
+
+    if (this.position === this.entries.length) {
+      this.draft = currentLine;
+    }
+    this.position--;
+    return this.entries[this.position];
+  }
+
+  /**
+   * Moves one entry forward (ArrowDown)
+   * @returns {string|null} Entry (or the saved draft), or null if not navigating
+   */
+  next() {
+    if (this.position >= this.entries.length) return null;
+
+    this.position++;
+    return this.position === this.entries.length
+      ? this.draft
+      : this.entries[this.position];
+  }
+
+  /**
+   * Stops navigating (back to the empty line after the newest entry)
+   */
+  resetNavigation() {
+    this.position = this.entries.length;
+    this.draft = '';
+  }
+
+  /**
+   * Finds the newest entry containing query, searching backward
+   * @param {string} query
+   * @param {number} before - Only look at entries older than this index
+   * @returns {{ entry: string, index: number }|null}
+   */
+  search(query, before = this.entries.length) {
+    for (let i = Math.min(before, this.entries.length) - 1; i >= 0; i--) {
+      if (this.entries[i].includes(query)) {
+        return { entry: this.entries[i], index: i };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Clears all entries (memory and storage)
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+    this.resetNavigation();
+  }
+
+  /**
+   * Reads entries from localStorage
+   * Storage can throw (private mode, disabled cookies) - history just won't persist
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored.filter(e => typeof e === 'string') : [];
+    } catch (error) {
+      console.warn('Could not load command history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Writes entries to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn('Could not save command history:', error);
+    }
+  }
+}
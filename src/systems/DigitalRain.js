@@ -0,0 +1,245 @@
+/**
+ * Digital Rain
+ *
+ * The falling glyphs from The Matrix, drawn on a canvas behind the
+ * terminal. Each column has one drop: every step it moves down a row and
+ * prints a random glyph, and the whole canvas is painted over with a
+ * translucent background - older glyphs fade into trails, like phosphor
+ * persistence.
+ *
+ *   const rain = new DigitalRain({ scene });
+ *   rain.start();
+ *
+ * Runs as a scene system (Scene.addSystem), so it pauses with the scene
+ * while the tab is hidden and costs nothing while stopped. Colors come
+ * from the theme (--text-primary on --bg-primary) and are re-read when
+ * the era changes. It pauses while accessibility mode is on and picks up
+ * again when it's turned off.
+ *
+ * While it runs, data-rain="on" is set on <html> and the terminal's own
+ * background turns transparent so the rain shows through.
+ */
+
+import { RAIN_CONFIG } from '../config/crt.js';
+import { isReducedMotion } from './Accessibility.js';
+
+export class DigitalRain {
+  /**
+   * @param {Object} options
+   * @param {Scene} options.scene - Drives the steps; the canvas goes in its container
+   * @param {Object} options.config - See RAIN_CONFIG
+   */
+  constructor({ scene, config = RAIN_CONFIG }) {
+    this.scene = scene;
+    this.config = config;
+
+    this.isEnabled = false;  // Turned on (may be paused - see isRunning)
+    this.canvas = null;
+    this.context = null;
+    this.drops = [];        // Row of each column's drop (negative = waiting to fall)
+    this.rows = 0;
+    this.stepTime = 0;      // s since the last step
+    this.frame = 0;         // Steps drawn (see step)
+    this.colors = null;     // { text, background }
+
+    this.resizeObserver = null;
+    this.themeObserver = null;
+    // Pauses/resumes with accessibility mode while enabled
+    this.a11yObserver = new MutationObserver(() => this.sync());
+  }
+
+  /**
+   * True while it's actually raining (enabled and not paused)
+   */
+  get isRunning() {
+    return !!this.canvas;
+  }
+
+  /**
+   * Turns the rain on - paused until accessibility mode is off
+   * @returns {boolean} Whether it's raining now
+   */
+  start() {
+    if (!this.isEnabled) {
+      this.isEnabled = true;
+      this.a11yObserver.observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: ['data-a11y'],
+      });
+    }
+    this.sync();
+    return this.isRunning;
+  }
+
+  /**
+   * Turns the rain off and removes the canvas
+   */
+  stop() {
+    this.isEnabled = false;
+    this.a11yObserver.disconnect();
+    this.sync();
+  }
+
+  /**
+   * @returns {boolean} Whether it's enabled now
+   */
+  toggle() {
+    if (this.isEnabled) {
+      this.stop();
+    } else {
+      this.start();
+    }
+    return this.isEnabled;
+  }
+
+  /**
+   * Rains while enabled and accessibility mode is off
+   */
+  sync() {
+    const shouldRun = this.isEnabled && !isReducedMotion();
+    if (shouldRun && !this.isRunning) {
+      this.resume();
+    } else if (!shouldRun && this.isRunning) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Creates the canvas and starts drawing
+   */
+  resume() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'rain-canvas';
+    this.canvas.setAttribute('aria-hidden', 'true');
+    this.context = this.canvas.getContext('2d');
+    // First child - painted behind the terminal
+    this.scene.container.prepend(this.canvas);
+
+    this.readColors();
+    this.resize();
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(this.scene.container);
+    this.themeObserver = new MutationObserver(() => this.readColors());
+    this.themeObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-era'],
+    });
+
+    document.documentElement.dataset.rain = 'on';
+    this.scene.addSystem(this);
+  }
+
+  /**
+   * Stops drawing and removes the canvas
+   */
+  pause() {
+    this.scene.removeSystem(this);
+    this.resizeObserver.disconnect();
+    this.themeObserver.disconnect();
+    this.resizeObserver = null;
+    this.themeObserver = null;
+
+    this.canvas.remove();
+    this.canvas = null;
+    this.context = null;
+    this.drops = [];
+    document.documentElement.dataset.rain = 'off';
+  }
+
+  /**
+   * Scene step: draws a row every 1/speed seconds
+   */
+  update(dt) {
+    const interval = 1 / this.config.speed;
+    this.stepTime += dt;
+    if (this.stepTime < interval) return;
+
+    this.stepTime %= interval;
+    this.step();
+  }
+
+  /**
+   * Moves every drop down a row (see module comment)
+   */
+  step() {
+    const { context, canvas } = this;
+    const { fontSize, fade, brightness, glyphs } = this.config;
+
+    // Paint over the last frame a little - older glyphs become the trails
+    context.globalAlpha = fade;
+    context.fillStyle = this.colors.background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.globalAlpha = brightness;
+    context.fillStyle = this.colors.text;
+    context.font = `${fontSize}px monospace`;
+    context.textBaseline = 'top';
+
+    this.drops = this.drops.map((row, column) => {
+      if (row >= 0) {
+        const glyph = glyphs[Math.floor(Math.random() * glyphs.length)];
+        context.fillText(glyph, column * fontSize, row * fontSize);
+      }
+      return row + 1 >= this.rows ? this.startRow() : row + 1;
+    });
+
+    // Canvas pixels aren't DOM changes - this tells the WebGL pass
+    // (systems/CRTRenderer.js) there's a new picture to upload
+    this.frame++;
+    canvas.dataset.frame = this.frame;
+  }
+
+  /**
+   * Row a drop (re)starts from: above the screen, further up the sparser
+   * the rain - on average `density` of the columns are falling at once
+   */
+  startRow() {
+    const density = Math.min(Math.max(this.config.density, 0.01), 1);
+    const averageWait = this.rows * (1 - density) / density;
+    return -Math.floor(Math.random() * averageWait * 2);
+  }
+
+  /**
+   * Matches the canvas to the screen; new columns start mid-fall so the
+   * rain doesn't arrive as one wave from the top
+   */
+  resize() {
+    const { clientWidth: width, clientHeight: height } = this.scene.container;
+    const { fontSize } = this.config;
+
+    // CSS px size - a soft background doesn't need the screen's density
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.rows = Math.ceil(height / fontSize);
+
+    const columns = Math.ceil(width / fontSize);
+    this.drops = Array.from({ length: columns }, (_, column) =>
+      this.drops[column] ?? this.startRow() + Math.floor(Math.random() * this.rows)
+    );
+
+    this.clear();
+  }
+
+  /**
+   * Reads the theme colors (on start and era changes)
+   */
+  readColors() {
+    const style = getComputedStyle(document.documentElement);
+    this.colors = {
+      text: style.getPropertyValue('--text-primary').trim() || '#6cff6c',
+      background: style.getPropertyValue('--bg-primary').trim() || '#0a0a0a',
+    };
+    // Old era's trails would fade out in the wrong color
+    if (this.canvas) this.clear();
+  }
+
+  /**
+   * Fills the canvas with the background
+   */
+  clear() {
+    this.context.globalAlpha = 1;
+    this.context.fillStyle = this.colors.background;
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+}
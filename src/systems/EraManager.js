@@ -0,0 +1,139 @@
+/**
+ * Era Manager
+ *
+ * Switches the site between visual eras (terminal, crt, xp):
+ * - Sets data-era on <html> so the CSS palette changes
+ * - Turns CRT effects on/off per era
+ * - Shows a window frame (title bar) for eras that have one
+ * - Plays a CRT power-off/power-on transition between eras
+ *   (skipped in accessibility mode)
+ *
+ * Like swapping a post-processing volume profile + UI skin in Unity.
+ */
+
+import { ERA_CONFIG } from '../config/eras.js';
+import { enableCRTEffects, disableCRTEffects } from '../config/crt.js';
+import { sleep } from '../utils/timing.js';
+import { isReducedMotion } from './Accessibility.js';
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+export class EraManager {
+  /**
+   * @param {HTMLElement} screenElement - #crt-screen (receives effects + transition)
+   * @param {HTMLElement} terminalElement - #terminal (framed by window chrome)
+   */
+  constructor(screenElement, terminalElement) {
+    this.screen = screenElement;
+    this.terminalElement = terminalElement;
+    this.current = null;
+    this.isTransitioning = false;
+
+    // Window title bar - built once, shown only for eras with windowChrome
+    this.titleBar = this.createTitleBar();
+    this.titleBar.hidden = true;
+    this.screen.insertBefore(this.titleBar, this.terminalElement);
+
+    document.documentElement.style.setProperty(
+      '--era-transition-duration',
+      `${ERA_CONFIG.transitionDuration}ms`
+    );
+  }
+
+  /**
+   * Creates the window title bar (title + minimize/maximize/close buttons)
+   */
+  createTitleBar() {
+    const bar = document.createElement('div');
+    bar.className = 'window-titlebar';
+    bar.setAttribute('aria-hidden', 'true');  // Decoration - the buttons do nothing
+
+    const title = document.createElement('span');
+    title.className = 'window-title';
+    bar.appendChild(title);
+
+    const buttons = document.createElement('span');
+    buttons.className = 'window-buttons';
+    for (const name of ['minimize', 'maximize', 'close']) {
+      const button = document.createElement('span');
+      button.className = `window-button window-${name}`;
+      buttons.appendChild(button);
+    }
+    bar.appendChild(buttons);
+
+    return bar;
+  }
+
+  /**
+   * Names of all eras
+   */
+  get names() {
+    return Object.keys(ERA_CONFIG.eras);
+  }
+
+  /**
+   * Checks whether an era exists
+   */
+  has(name) {
+    return Object.hasOwn(ERA_CONFIG.eras, name);
+  }
+
+  /**
+   * Switches to an era
+   * @param {string} name - Era key from ERA_CONFIG.eras
+   * @param {Object} options
+   * @param {boolean} options.animate - Play the transition (default true)
+   * @throws {CommandError} If the era doesn't exist
+   * @returns {Promise<boolean>} Whether this era is showing now - false if
+   *   another transition was still running and the switch was skipped
+   */
+  async setEra(name, { animate = true } = {}) {
+    if (!this.has(name)) {
+      throw new CommandError(t('era.unknown', { name, names: this.names.join(', ') }));
+    }
+    if (name === this.current) return true;
+    if (this.isTransitioning) return false;
+
+    // Accessibility mode: swap instantly, no collapsing/flashing screen
+    if (!animate || this.current === null || isReducedMotion()) {
+      this.apply(name);
+      return true;
+    }
+
+    // Power off -> swap theme while the screen is collapsed -> power on
+    this.isTransitioning = true;
+    const half = ERA_CONFIG.transitionDuration / 2;
+
+    this.screen.classList.add('era-power-off');
+    await sleep(half);
+
+    this.apply(name);
+    this.screen.classList.remove('era-power-off');
+    this.screen.classList.add('era-power-on');
+    await sleep(half);
+
+    this.screen.classList.remove('era-power-on');
+    this.isTransitioning = false;
+    return true;
+  }
+
+  /**
+   * Applies an era immediately (no transition)
+   */
+  apply(name) {
+    const era = ERA_CONFIG.eras[name];
+
+    document.documentElement.dataset.era = name;
+
+    if (era.crt) {
+      enableCRTEffects(this.screen);
+    } else {
+      disableCRTEffects(this.screen);
+    }
+
+    this.titleBar.hidden = !era.windowChrome;
+    this.titleBar.querySelector('.window-title').textContent = era.windowTitle ?? '';
+
+    this.current = name;
+  }
+}
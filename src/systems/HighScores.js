@@ -0,0 +1,92 @@
+/**
+ * High Scores
+ *
+ * Best chase game results, highest first. Kept per difficulty and
+ * persisted to localStorage, like the command history.
+ *
+ * Entry: { name, score, catches, bestCombo, difficulty, date }
+ */
+
+import { GAME_CONFIG } from '../config/game.js';
+
+export class HighScores {
+  constructor({
+    maxEntries = GAME_CONFIG.highScores.maxEntries,
+    storageKey = GAME_CONFIG.highScores.storageKey,
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.storageKey = storageKey;
+    this.entries = this.load();
+  }
+
+  /**
+   * Entries for one difficulty, best first
+   * @param {string} difficulty
+   * @returns {Object[]}
+   */
+  list(difficulty) {
+    return this.entries
+      .filter(entry => entry.difficulty === difficulty)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Records a result if it makes the table
+   * @param {Object} entry - See module comment (date is filled in)
+   * @returns {number|null} 1-based rank, or null if it didn't place
+   */
+  add(entry) {
+    if (entry.score <= 0) return null;
+
+    const record = { ...entry, date: new Date().toISOString() };
+    const ranked = [...this.list(entry.difficulty), record]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxEntries);
+
+    const rank = ranked.indexOf(record);
+    if (rank === -1) return null;
+
+    this.entries = [
+      ...this.entries.filter(e => e.difficulty !== entry.difficulty),
+      ...ranked,
+    ];
+    this.save();
+    return rank + 1;
+  }
+
+  /**
+   * Clears all entries (memory and storage)
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  /**
+   * Reads entries from localStorage
+   * Storage can throw (private mode, disabled cookies) - scores just won't persist
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored)
+        ? stored.filter(e => typeof e?.score === 'number'
+          && ['name', 'difficulty', 'date'].every(key => typeof e[key] === 'string'))
+        : [];
+    } catch (error) {
+      console.warn('Could not load high scores:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Writes entries to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn('Could not save high scores:', error);
+    }
+  }
+}
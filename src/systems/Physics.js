@@ -0,0 +1,182 @@
+/**
+ * 2D Physics
+ *
+ * Just enough physics for sprites hopping around the page - a tiny
+ * Rigidbody2D: velocity, gravity, the viewport floor and walls, and
+ * one-way platforms (terminal lines) you can land on from above.
+ *
+ * Coordinates are viewport pixels, y pointing down. A body is a box
+ * anchored at its bottom center (the feet), which keeps landing checks
+ * simple: feet cross a platform's top edge while falling -> landed.
+ *
+ *   const world = new PhysicsWorld({ getPlatforms: () => [...] });
+ *   const body = new PhysicsBody({ x, y, width, height });
+ *   body.launch(300, -900);
+ *   world.step(body, dt);  // -> { landed, wall }
+ *
+ * Platforms are { left, right, top, element } - element identifies the
+ * platform between steps, so a body standing on a line rides along when
+ * the line moves (the terminal scrolls) and falls when it's gone.
+ */
+
+import { PHYSICS_CONFIG } from '../config/animations.js';
+
+export class PhysicsBody {
+  /**
+   * @param {Object} options
+   * @param {number} options.x - Bottom center X
+   * @param {number} options.y - Bottom (feet) Y
+   * @param {number} options.width - Collision box size
+   * @param {number} options.height
+   */
+  constructor({ x = 0, y = 0, width, height }) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+
+    this.vx = 0;  // px/s
+    this.vy = 0;  // px/s, positive = falling
+
+    this.grounded = false;
+    this.ground = null;  // 'floor' or the platform element it stands on
+  }
+
+  get left() { return this.x - this.width / 2; }
+  get right() { return this.x + this.width / 2; }
+  get top() { return this.y - this.height; }
+
+  /**
+   * Sets the velocity and leaves the ground (a jump)
+   */
+  launch(vx, vy) {
+    this.vx = vx;
+    this.vy = vy;
+    this.grounded = false;
+    this.ground = null;
+  }
+
+  /**
+   * Moves the body without velocity (teleport)
+   */
+  moveTo(x, y = this.y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+export class PhysicsWorld {
+  /**
+   * @param {Object} options
+   * @param {number} options.gravity - px/s²
+   * @param {number} options.wallBounce - Horizontal speed kept after hitting a wall (0-1)
+   * @param {Function} options.getBounds - () => { left, right, bottom } (default: the viewport)
+   * @param {Function} options.getPlatforms - () => [{ left, right, top, element }]
+   */
+  constructor({
+    gravity = PHYSICS_CONFIG.gravity,
+    wallBounce = PHYSICS_CONFIG.wallBounce,
+    getBounds = () => ({ left: 0, right: window.innerWidth, bottom: window.innerHeight }),
+    getPlatforms = () => [],
+  } = {}) {
+    this.gravity = gravity;
+    this.wallBounce = wallBounce;
+    this.getBounds = getBounds;
+    this.getPlatforms = getPlatforms;
+  }
+
+  /**
+   * Advances a body by dt seconds
+   * @returns {{ landed: boolean, wall: number }} landed = touched ground this step,
+   *   wall = -1 (left), 1 (right) or 0
+   */
+  step(body, dt) {
+    const bounds = this.getBounds();
+    const result = { landed: false, wall: 0 };
+
+    if (body.grounded) {
+      this.followGround(body, bounds);
+      if (body.grounded) return result;
+    }
+
+    // Semi-implicit Euler: velocity first, then position
+    body.vy += this.gravity * dt;
+    const previousY = body.y;
+    body.x += body.vx * dt;
+    body.y += body.vy * dt;
+
+    // Walls - bounce back in, losing some speed
+    if (body.left < bounds.left) {
+      body.x = bounds.left + body.width / 2;
+      body.vx = Math.abs(body.vx) * this.wallBounce;
+      result.wall = -1;
+    } else if (body.right > bounds.right) {
+      body.x = bounds.right - body.width / 2;
+      body.vx = -Math.abs(body.vx) * this.wallBounce;
+      result.wall = 1;
+    }
+
+    if (body.vy < 0) return result;  // Rising - platforms are one-way
+
+    // Platforms: feet crossed the top edge during this step
+    const platform = this.getPlatforms().find(p =>
+      previousY <= p.top && body.y >= p.top && body.x >= p.left && body.x <= p.right
+    );
+    if (platform) {
+      this.land(body, platform.top, platform.element);
+      result.landed = true;
+    } else if (body.y >= bounds.bottom) {
+      this.land(body, bounds.bottom, 'floor');
+      result.landed = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Puts a body back inside the bounds after they changed (viewport
+   * resized or rotated): pulled in from the walls, onto the floor if it
+   * stood there, and landed if the floor came up past its feet
+   * @returns {{ landed: boolean }}
+   */
+  constrain(body) {
+    const bounds = this.getBounds();
+    const halfWidth = body.width / 2;
+    // Max last: narrower than the body, it keeps to the left wall
+    body.x = Math.max(Math.min(body.x, bounds.right - halfWidth), bounds.left + halfWidth);
+
+    if (body.ground === 'floor' || body.y > bounds.bottom) {
+      const landed = !body.grounded;
+      this.land(body, bounds.bottom, 'floor');
+      return { landed };
+    }
+    return { landed: false };
+  }
+
+  land(body, y, ground) {
+    body.y = y;
+    body.vx = 0;
+    body.vy = 0;
+    body.grounded = true;
+    body.ground = ground;
+  }
+
+  /**
+   * Keeps a standing body on its ground: rides a moving platform, or
+   * starts falling if the platform disappeared or moved out from under it
+   */
+  followGround(body, bounds) {
+    if (body.ground === 'floor') {
+      body.y = bounds.bottom;  // Viewport may have resized
+      return;
+    }
+
+    const platform = this.getPlatforms().find(p => p.element === body.ground);
+    if (platform && body.x >= platform.left && body.x <= platform.right && platform.top <= bounds.bottom) {
+      body.y = platform.top;
+    } else {
+      body.grounded = false;
+      body.ground = null;
+    }
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Router
+ *
+ * Gives terminal "pages" their own URLs: #/projects/shaders opens the
+ * site straight into `projects shaders`. Hash URLs, because GitHub Pages
+ * has no server rewrites - /projects/shaders would be a 404, while
+ * everything after the # never leaves the browser.
+ *
+ * A page is a command registered with `page: true` (about, projects,
+ * contact). Its route is the command line with slashes:
+ *
+ *   projects shaders  <->  #/projects/shaders
+ *
+ * Running a page command pushes a history entry. Back and Forward enter
+ * that entry's command at the prompt again (Terminal.enterLine), so the
+ * output replays as if the visitor had typed it - like scene loading by
+ * name, where the name is in the address bar. The entry from before any
+ * page (no hash) replays as `clear`.
+ *
+ * The build also writes a static page per project (/projects/shaders/,
+ * see build/prerender.js) for link previews and crawlers. Opened in a
+ * browser, it swaps its path for the hash route and carries on as above.
+ */
+
+// Replayed when going back to the URL without a page
+const HOME_LINE = 'clear';
+
+export class Router {
+  /**
+   * @param {Object} options
+   * @param {CommandRegistry} options.registry - Knows which commands are pages
+   * @param {Terminal} options.terminal - Where Back/Forward replay commands
+   */
+  constructor({ registry, terminal }) {
+    this.registry = registry;
+    this.terminal = terminal;
+
+    this.currentHash = window.location.hash;  // The page the terminal shows
+    this.removeListener = null;
+
+    // popstate for Back/Forward, hashchange for links and edited URLs -
+    // some navigations fire both, replay() skips the second
+    this.navigationHandler = () => this.replay();
+  }
+
+  /**
+   * Starts pushing history for pages and replaying on Back/Forward
+   */
+  enable() {
+    this.adoptPath();
+    window.addEventListener('popstate', this.navigationHandler);
+    window.addEventListener('hashchange', this.navigationHandler);
+    this.removeListener = this.registry.onExecute((command, args) => this.push(command, args));
+  }
+
+  disable() {
+    window.removeEventListener('popstate', this.navigationHandler);
+    window.removeEventListener('hashchange', this.navigationHandler);
+    this.removeListener?.();
+    this.removeListener = null;
+  }
+
+  /**
+   * On a prerendered page (/projects/shaders/), moves the route into the
+   * hash (/#/projects/shaders) - the same page for the router and for
+   * history entries pushed later
+   */
+  adoptPath() {
+    const base = import.meta.env.BASE_URL;
+    const { pathname, hash } = window.location;
+    if (hash || !pathname.startsWith(base)) return;
+
+    const path = pathname.slice(base.length);
+    if (!this.lineFor(path)) return;
+
+    history.replaceState(null, '', `${base}#/${path.split('/').filter(Boolean).join('/')}`);
+    this.currentHash = window.location.hash;
+  }
+
+  /**
+   * Command line of the page the site was opened on (a deep link)
+   * @returns {string|null} null if the URL has no page
+   */
+  get initialLine() {
+    return this.lineFor(window.location.hash);
+  }
+
+  /**
+   * '#/projects/shaders' -> 'projects shaders'
+   * @returns {string|null} null if the hash isn't a page
+   */
+  lineFor(hash) {
+    let parts;
+    try {
+      parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      return null;  // Malformed %-escape
+    }
+
+    if (parts.length === 0 || !this.registry.get(parts[0])?.page) return null;
+
+    // Quoted so parseCommandLine() keeps an argument with spaces together
+    return parts.map(part => (/\s/.test(part) ? `"${part}"` : part)).join(' ');
+  }
+
+  /**
+   * 'projects', ['shaders'] -> '#/projects/shaders'
+   */
+  hashFor(command, args) {
+    return `#/${[command.name, ...args].map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Adds a history entry for a page command that just ran
+   * (none if the URL already points there - a deep link or a replay)
+   */
+  push(command, args) {
+    if (!command.page) return;
+
+    const hash = this.hashFor(command, args);
+    if (hash !== window.location.hash) {
+      history.pushState(null, '', hash);
+    }
+    this.currentHash = hash;
+  }
+
+  /**
+   * The URL changed under us (Back/Forward, a link): show that page
+   */
+  replay() {
+    const { hash } = window.location;
+    if (hash === this.currentHash) return;
+    this.currentHash = hash;
+
+    const line = hash.replace(/^#\/?/, '') === '' ? HOME_LINE : this.lineFor(hash);
+    if (line) {
+      this.terminal.enterLine(line);
+    }
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Scene
+ *
+ * Owns every live sprite and drives them from one shared loop - like a
+ * Unity scene calling Update() on each MonoBehaviour. Sprites are kept by
+ * id, so systems can find ("rabbit") or replace them without holding
+ * their own references.
+ *
+ * The loop uses a fixed timestep: however often the browser paints,
+ * update(dt) always receives SCENE_CONFIG.fixedStep seconds, run as many
+ * times as needed to catch up (capped, so a slow frame can't snowball).
+ * Same idea as FixedUpdate - behaviour doesn't depend on frame rate.
+ *
+ * While the tab is hidden the loop pauses, and it resumes without trying
+ * to catch up on the missed time (sprite timers pause along with it).
+ *
+ * The scene also holds the PhysicsWorld that moves sprites with a body,
+ * and can drive systems that aren't sprites (anything with update(dt),
+ * e.g. a game's clock) on the same scene time.
+ */
+
+import { SCENE_CONFIG } from '../config/animations.js';
+import { PhysicsWorld } from './Physics.js';
+
+export class Scene {
+  /**
+   * @param {HTMLElement} container - Where spawned sprites are added
+   * @param {Object} options
+   * @param {number} options.fixedStep - Seconds per update
+   * @param {number} options.maxFrameTime - Longest frame (s) the loop will catch up on
+   * @param {PhysicsWorld} options.physics - World for sprites with a body (default: viewport only)
+   */
+  constructor(container, {
+    fixedStep = SCENE_CONFIG.fixedStep,
+    maxFrameTime = SCENE_CONFIG.maxFrameTime,
+    physics = new PhysicsWorld(),
+  } = {}) {
+    this.container = container;
+    this.fixedStep = fixedStep;
+    this.maxFrameTime = maxFrameTime;
+    this.physics = physics;
+
+    this.sprites = new Map();  // id -> sprite
+    this.nextId = 1;
+    this.systems = new Set();  // Non-sprite objects with update(dt)
+
+    // Loop state
+    this.isRunning = false;
+    this.frameId = null;
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.time = 0;  // Seconds of (unpaused) scene time
+    this.frameHandler = (now) => this.tick(now);
+
+    this.visibilityHandler = () => {
+      if (document.hidden) {
+        this.pause();
+      } else if (this.isRunning) {
+        this.resume();
+      }
+    };
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+  }
+
+  /**
+   * Registers a sprite (its element may or may not be in the DOM yet)
+   * Adding with an id that's taken replaces (destroys) the old sprite.
+   * @param {Sprite} sprite
+   * @param {string} id - Optional, generated from the class name if omitted
+   * @returns {string} The sprite's id
+   */
+  add(sprite, id = `${sprite.constructor.name.toLowerCase()}-${this.nextId++}`) {
+    if (this.sprites.has(id)) {
+      this.despawn(id);
+    }
+
+    this.sprites.set(id, sprite);
+    sprite.attach(this, id);
+    return id;
+  }
+
+  /**
+   * Registers a sprite and adds its element to the scene container
+   * @returns {string} The sprite's id
+   */
+  spawn(sprite, id) {
+    const spriteId = this.add(sprite, id);
+    if (!sprite.element) {
+      sprite.spawn(this.container);
+    }
+    return spriteId;
+  }
+
+  /**
+   * Destroys and forgets a sprite
+   * @returns {boolean} Whether a sprite had that id
+   */
+  despawn(id) {
+    const sprite = this.sprites.get(id);
+    if (!sprite) return false;
+
+    this.sprites.delete(id);
+    sprite.destroy();
+    return true;
+  }
+
+  /**
+   * @returns {Sprite|undefined}
+   */
+  get(id) {
+    return this.sprites.get(id);
+  }
+
+  /**
+   * Sprites that are instances of a class (e.g. every Rabbit)
+   */
+  findAll(type) {
+    return [...this.sprites.values()].filter(sprite => sprite instanceof type);
+  }
+
+  /**
+   * Updates an object every step, after the sprites
+   * @param {{ update: Function }} system
+   */
+  addSystem(system) {
+    this.systems.add(system);
+  }
+
+  removeSystem(system) {
+    this.systems.delete(system);
+  }
+
+  /**
+   * Starts the update loop
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    if (!document.hidden) this.resume();
+  }
+
+  /**
+   * Stops the update loop (sprites stay where they are)
+   */
+  stop() {
+    this.isRunning = false;
+    this.pause();
+  }
+
+  pause() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  resume() {
+    if (this.frameId) return;
+
+    // Fresh start - don't count the time spent paused
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.frameId = requestAnimationFrame(this.frameHandler);
+  }
+
+  /**
+   * One browser frame: runs as many fixed updates as the elapsed time covers
+   */
+  tick(now) {
+    const frameTime = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+    this.lastTime = now;
+    this.accumulator += Math.min(frameTime, this.maxFrameTime);
+
+    while (this.accumulator >= this.fixedStep) {
+      this.update(this.fixedStep);
+      this.accumulator -= this.fixedStep;
+    }
+
+    this.frameId = requestAnimationFrame(this.frameHandler);
+  }
+
+  /**
+   * Advances every sprite, then every system, by dt seconds
+   * (Iterates copies - updates may add or remove others)
+   */
+  update(dt) {
+    this.time += dt;
+
+    for (const sprite of [...this.sprites.values()]) {
+      if (!sprite.isDestroyed) {
+        sprite.update(dt);
+      }
+    }
+
+    for (const system of [...this.systems]) {
+      if (this.systems.has(system)) {
+        system.update(dt);
+      }
+    }
+  }
+
+  /**
+   * Puts every sprite back inside the viewport (call after a resize)
+   */
+  relayout() {
+    for (const sprite of [...this.sprites.values()]) {
+      if (!sprite.isDestroyed) {
+        sprite.relayout();
+      }
+    }
+  }
+
+  /**
+   * Despawns every sprite
+   */
+  clear() {
+    for (const id of [...this.sprites.keys()]) {
+      this.despawn(id);
+    }
+  }
+
+  /**
+   * Stops the loop, destroys all sprites and removes listeners
+   */
+  destroy() {
+    this.stop();
+    this.clear();
+    this.systems.clear();
+    document.removeEventListener('visibilitychange', this.visibilityHandler);
+  }
+}
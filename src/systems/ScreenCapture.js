@@ -0,0 +1,357 @@
+/**
+ * Screen Capture
+ *
+ * Turns a live DOM subtree into pixels, so a shader can post-process it
+ * like a render texture. There is no "read the page" API, so this uses
+ * the SVG foreignObject trick:
+ *
+ *   clone the element -> serialize it into an <svg> together with the
+ *   page's CSS -> load that as an image -> draw it into a canvas
+ *
+ * An SVG image can't load anything itself, so every resource it needs is
+ * inlined as a data URL first: web fonts (@font-face, fetched once from
+ * the site's own bundle) and url(...) images on the clone (the rabbit
+ * sheet, project thumbnails). Canvases are copied as images.
+ *
+ * A capture is expensive, so it's only redone when the picture really
+ * changed. Things that change all the time - the cursor blink, a canvas
+ * animating every frame - belong drawn separately on top: list their
+ * animations in `ignore` and their elements in `exclude`.
+ *
+ * The snapshot is static, so CSS animations inside the element are frozen
+ * at their current values (read with getAnimations()). Animations on
+ * pseudo-elements can't be copied this way and show their resting state.
+ *
+ *   const capture = new ScreenCapture(screen);
+ *   await capture.prepare();
+ *   if (capture.needsCapture()) await capture.capture(width, height, pixelRatio);
+ *   gl.texImage2D(..., capture.canvas);
+ */
+
+// Keyframe keys that aren't CSS properties
+const KEYFRAME_META = ['offset', 'computedOffset', 'easing', 'composite'];
+
+// Matches url(...) with or without quotes
+const URL_PATTERN = /url\((['"]?)([^'")]+)\1\)/g;
+
+export class ScreenCapture {
+  /**
+   * @param {HTMLElement} element - Root of what to capture (#crt-screen)
+   * @param {Object} options
+   * @param {string[]} options.ignore - Animation names to leave out of change
+   *   detection (e.g. a flicker the renderer reads separately)
+   * @param {string[]} options.exclude - Selectors of elements left out of the
+   *   snapshot; their changes don't trigger captures either
+   * @param {string} options.styles - Extra CSS for the snapshot only
+   * @param {string[]} options.omitRootAttributes - <html> attributes not copied
+   *   into the snapshot (e.g. one that hides the live element)
+   */
+  constructor(element, { ignore = [], exclude = [], styles = '', omitRootAttributes = [] } = {}) {
+    this.element = element;
+    this.ignore = ignore;
+    this.exclude = exclude;
+    this.styles = styles;
+    this.omitRootAttributes = omitRootAttributes;
+
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d');
+
+    this.css = null;              // Page CSS with fonts inlined (see prepare)
+    this.dataUrls = new Map();    // url -> data URL (or null while loading/failed)
+    this.isDirty = true;          // DOM changed since the last capture
+    this.animationState = null;   // Animated values at the last capture
+    this.isCapturing = false;
+
+    this.observer = new MutationObserver((records) => {
+      if (records.some(record => !this.isExcluded(record.target))) {
+        this.isDirty = true;
+      }
+    });
+  }
+
+  /**
+   * Collects the page CSS and inlines its web fonts (once)
+   * Resolves when captures can start.
+   */
+  async prepare() {
+    if (this.css !== null) return;
+
+    const parts = await Promise.all(
+      [...document.styleSheets].map(sheet => readStyleSheet(sheet))
+    );
+    this.css = (await this.inlineFonts(parts.join('\n'))) + this.styles;
+
+    this.observer.observe(this.element, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      characterData: true,
+    });
+  }
+
+  /**
+   * True if the picture may have changed since the last capture:
+   * the DOM mutated, or an animation moved on to new values
+   */
+  needsCapture() {
+    if (this.isDirty) return true;
+    return this.readAnimationState().key !== this.animationState;
+  }
+
+  /**
+   * Takes a snapshot into this.canvas
+   * @param {number} width - CSS px
+   * @param {number} height - CSS px
+   * @param {number} pixelRatio - Canvas px per CSS px
+   * @returns {Promise<boolean>} false if a capture was already running
+   */
+  async capture(width, height, pixelRatio = 1) {
+    if (this.isCapturing) return false;
+    this.isCapturing = true;
+    this.isDirty = false;
+
+    try {
+      const animations = this.readAnimationState();
+      this.animationState = animations.key;
+
+      const image = new Image();
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.toSVG(width, height, pixelRatio, animations))}`;
+      await image.decode();
+
+      this.canvas.width = Math.round(width * pixelRatio);
+      this.canvas.height = Math.round(height * pixelRatio);
+      this.context.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+      return true;
+    } finally {
+      this.isCapturing = false;
+    }
+  }
+
+  /**
+   * Forces the next needsCapture() to be true (e.g. after a resize)
+   */
+  invalidate() {
+    this.isDirty = true;
+  }
+
+  /**
+   * True if a node is (inside) an excluded element
+   */
+  isExcluded(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return this.exclude.some(selector => element?.closest(selector));
+  }
+
+  /**
+   * Current values of everything animating inside the element
+   * @returns {{ key: string, values: Map<Element, Object> }} key changes
+   *   whenever a value does
+   */
+  readAnimationState() {
+    const values = new Map();
+
+    for (const animation of this.element.getAnimations({ subtree: true })) {
+      const { target, pseudoElement } = animation.effect ?? {};
+      if (!target || pseudoElement || this.ignore.includes(animation.animationName)) continue;
+      if (this.isExcluded(target)) continue;
+
+      const properties = animation.transitionProperty
+        ? [animation.transitionProperty]
+        : animation.effect.getKeyframes().flatMap(frame => Object.keys(frame))
+          .filter(key => !KEYFRAME_META.includes(key))
+          .map(toKebabCase);
+
+      const computed = getComputedStyle(target);
+      const entry = values.get(target) ?? {};
+      for (const property of properties) {
+        entry[property] = computed.getPropertyValue(property);
+      }
+      values.set(target, entry);
+    }
+
+    return { key: JSON.stringify([...values.values()]), values };
+  }
+
+  /**
+   * Serializes the element into a self-contained SVG document
+   */
+  toSVG(width, height, pixelRatio, animations) {
+    const clone = this.cloneElement(animations.values);
+    clone.style.width = `${width}px`;
+    clone.style.height = `${height}px`;
+
+    // The root's data attributes (era, a11y...) and injected variables
+    // go on the <svg>, which is :root inside the image
+    const root = document.documentElement;
+    const rootAttributes = [...root.attributes]
+      .filter(attr => attr.name.startsWith('data-') || attr.name === 'style')
+      .filter(attr => !this.omitRootAttributes.includes(attr.name))
+      .map(attr => `${attr.name}="${escapeAttribute(attr.value)}"`)
+      .join(' ');
+
+    const markup = new XMLSerializer().serializeToString(clone);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width * pixelRatio}" height="${height * pixelRatio}" viewBox="0 0 ${width} ${height}" ${rootAttributes}>`
+      + `<style><![CDATA[${this.css}]]></style>`
+      + `<foreignObject x="0" y="0" width="${width}" height="${height}">${markup}</foreignObject>`
+      + '</svg>';
+  }
+
+  /**
+   * Deep-clones the element for the snapshot: animated values frozen
+   * inline, images and canvases inlined, hidden helpers dropped
+   */
+  cloneElement(animated) {
+    const clone = this.element.cloneNode(true);
+    const originals = [this.element, ...this.element.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+
+    // The element's own animated transform/filter (e.g. an era power cycle)
+    // Its opacity is left out - whoever draws the capture applies that
+    const computed = getComputedStyle(this.element);
+    clone.style.transform = computed.transform;
+    clone.style.filter = computed.filter;
+    clone.style.opacity = '';
+
+    originals.forEach((original, index) => {
+      const copy = copies[index];
+
+      for (const [property, value] of Object.entries(animated.get(original) ?? {})) {
+        copy.style.setProperty(property, value);
+      }
+
+      if (original instanceof HTMLCanvasElement) {
+        if (this.isExcluded(original)) return;  // Removed below - don't encode it
+        const image = document.createElement('img');
+        image.src = original.toDataURL();
+        image.className = original.className;
+        image.style.cssText = original.style.cssText;
+        copy.replaceWith(image);
+        return;
+      }
+
+      if (original instanceof HTMLImageElement) {
+        copy.src = this.getDataUrl(original.currentSrc || original.src) ?? '';
+        copy.removeAttribute('srcset');
+      }
+
+      const style = copy.getAttribute('style');
+      if (style?.includes('url(')) {
+        copy.setAttribute('style', style.replace(URL_PATTERN, (match, quote, url) => {
+          const dataUrl = this.getDataUrl(url);
+          return dataUrl ? `url("${dataUrl}")` : 'none';
+        }));
+      }
+    });
+
+    // Drawn separately, and screen reader helpers are invisible anyway
+    for (const hidden of clone.querySelectorAll(['.visually-hidden', ...this.exclude].join(', '))) {
+      hidden.remove();
+    }
+
+    return clone;
+  }
+
+  /**
+   * Data URL for an image, loading it in the background on first use
+   * @returns {string|null} null until loaded (the capture is redone then)
+   */
+  getDataUrl(url) {
+    if (url.startsWith('data:')) return url;
+    if (this.dataUrls.has(url)) return this.dataUrls.get(url);
+
+    this.dataUrls.set(url, null);
+    fetchDataUrl(url)
+      .then(dataUrl => {
+        this.dataUrls.set(url, dataUrl);
+        this.invalidate();
+      })
+      .catch(error => console.warn(`Could not inline ${url} for the CRT capture:`, error));
+    return null;
+  }
+
+  /**
+   * Replaces the font URLs in @font-face rules with data URLs
+   * Only Latin subsets are kept - the rest would be megabytes of glyphs
+   * the terminal never shows.
+   */
+  async inlineFonts(css) {
+    const fontFaces = css.match(/@font-face\s*{[^}]*}/g) ?? [];
+    const rest = css.replace(/@font-face\s*{[^}]*}/g, '');
+
+    const inlined = await Promise.all(fontFaces
+      .filter(rule => !/unicode-range/i.test(rule) || /U\+0000-00FF/i.test(rule))
+      .map(async rule => {
+        const urls = [...rule.matchAll(URL_PATTERN)].map(match => match[2]);
+        let result = rule;
+        for (const url of urls) {
+          try {
+            result = result.replace(url, await fetchDataUrl(url));
+          } catch (error) {
+            console.warn(`Could not inline font ${url}:`, error);
+          }
+        }
+        return result;
+      }));
+
+    return `${inlined.join('\n')}\n${rest}`;
+  }
+
+  destroy() {
+    this.observer.disconnect();
+    this.dataUrls.clear();
+  }
+}
+
+/**
+ * CSS text of a stylesheet
+ * Only the site's own sheets are read - a cross-origin sheet can't be
+ * read through cssRules, and is left out rather than fetched.
+ */
+async function readStyleSheet(sheet) {
+  try {
+    const css = [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+    return absolutizeUrls(css, sheet.href ?? document.baseURI);
+  } catch {
+    console.warn(`Could not read stylesheet ${sheet.href} for the CRT capture`);
+    return '';
+  }
+}
+
+/**
+ * Makes url(...) references absolute (a sheet's URLs are relative to the sheet)
+ */
+function absolutizeUrls(css, baseUrl) {
+  return css.replace(URL_PATTERN, (match, quote, url) =>
+    `url("${new URL(url, baseUrl).href}")`
+  );
+}
+
+/**
+ * Fetches a resource and encodes it as a data URL
+ */
+async function fetchDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function toKebabCase(property) {
+  return property.startsWith('--')
+    ? property
+    : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
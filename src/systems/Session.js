@@ -0,0 +1,136 @@
+/**
+ * Visitor Session
+ *
+ * Remembers the visitor between page loads, in one localStorage entry:
+ * their name, era, preferences and progress (see config/session.js for
+ * the fields). Like PlayerPrefs, but for a whole save slot.
+ *
+ *   const session = new Session();
+ *   session.get('prefs.speed');           // dotted paths
+ *   session.set('progress.colorRevealed', true);  // saved right away
+ *
+ * Stored values are only as good as the last version that wrote them -
+ * callers check them (eras.has(), parseSpeed()) before use.
+ *
+ * The accessibility preference, command history, high scores and CRT
+ * tuning keep their own keys - clear() removes those too.
+ */
+
+import { SESSION_CONFIG } from '../config/session.js';
+import { TERMINAL_CONFIG } from '../config/terminal.js';
+import { GAME_CONFIG } from '../config/game.js';
+import { TUNING_CONFIG } from '../config/tuning.js';
+import { CRT_OVERRIDES_STORAGE_KEY } from '../config/crt.js';
+import { A11Y_STORAGE_KEY } from './Accessibility.js';
+
+// Every other localStorage key the site writes (see clear)
+const SITE_STORAGE_KEYS = [
+  A11Y_STORAGE_KEY,
+  TERMINAL_CONFIG.historyStorageKey,
+  GAME_CONFIG.highScores.storageKey,
+  CRT_OVERRIDES_STORAGE_KEY,
+  TUNING_CONFIG.storageKey,
+];
+
+export class Session {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key
+   * @param {Object} options.defaults - Shape and starting values
+   */
+  constructor({
+    storageKey = SESSION_CONFIG.storageKey,
+    defaults = SESSION_CONFIG.defaults,
+  } = {}) {
+    this.storageKey = storageKey;
+    this.defaults = defaults;
+    this.data = this.load();
+
+    // As of this page load - recordVisit() doesn't change it
+    this.isReturning = this.get('progress.visits') > 0;
+  }
+
+  /**
+   * @param {string} path - e.g. 'name' or 'prefs.speed'
+   */
+  get(path) {
+    return path.split('.').reduce((object, key) => object?.[key], this.data);
+  }
+
+  /**
+   * Sets a value and saves
+   * @param {string} path - e.g. 'era' or 'progress.colorRevealed'
+   */
+  set(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] ??= {}), this.data);
+    parent[last] = value;
+    this.save();
+  }
+
+  /**
+   * Counts a visit (call once the intro has played)
+   */
+  recordVisit() {
+    this.set('progress.visits', this.get('progress.visits') + 1);
+  }
+
+  /**
+   * Forgets everything: the session in memory, and everything the site
+   * stored - accessibility choice, command history, high scores, CRT
+   * tuning. The systems holding those still have them in memory, so
+   * reload the page afterwards.
+   */
+  clear() {
+    this.data = structuredClone(this.defaults);
+    try {
+      for (const key of [this.storageKey, ...SITE_STORAGE_KEYS]) {
+        localStorage.removeItem(key);
+      }
+    } catch (error) {
+      console.warn('Could not clear session:', error);
+    }
+  }
+
+  /**
+   * Reads the session from localStorage, on top of the defaults
+   * Storage can throw (private mode, disabled cookies) - then every visit is a first visit
+   */
+  load() {
+    const data = structuredClone(this.defaults);
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+
+      if (isPlainObject(stored)) {
+        for (const [key, value] of Object.entries(data)) {
+          if (isPlainObject(value)) {
+            Object.assign(value, isPlainObject(stored[key]) ? stored[key] : {});
+          } else if (stored[key] !== undefined) {
+            data[key] = stored[key];
+          }
+        }
+      }
+    } catch (error) {
+      console.warn('Could not load session:', error);
+    }
+
+    return data;
+  }
+
+  /**
+   * Writes the session to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('Could not save session:', error);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
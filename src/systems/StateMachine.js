@@ -0,0 +1,79 @@
+/**
+ * Finite State Machine
+ *
+ * Named states with enter/exit hooks and guarded transitions - the same
+ * idea as an Animator Controller in Unity: each state lists where it may
+ * go next, and a transition only happens if it's allowed from here.
+ *
+ *   const fsm = new StateMachine({
+ *     initial: 'idle',
+ *     states: {
+ *       idle:    { to: ['jumping'], enter() {...}, exit() {...} },
+ *       jumping: { to: ['idle'], guard: () => cooldownOver },
+ *     },
+ *   });
+ *   fsm.transition('jumping');  // -> true, or false if not allowed
+ *
+ * State definition:
+ *   to:              names reachable from this state
+ *   guard(from, data) optional - return false to refuse entering this state
+ *   enter(from, data) optional - runs after the state changes
+ *   exit(to, data)    optional - runs before the state changes
+ */
+
+export class StateMachine {
+  /**
+   * @param {Object} options
+   * @param {string} options.initial - Starting state (its enter() runs immediately)
+   * @param {Object} options.states - name -> state definition (see module comment)
+   * @param {Function} options.onChange - Optional (to, from) listener
+   */
+  constructor({ initial, states, onChange = null }) {
+    if (!states[initial]) {
+      throw new Error(`Unknown initial state: ${initial}`);
+    }
+
+    this.states = states;
+    this.state = initial;
+    this.onChange = onChange;
+
+    states[initial].enter?.(null, undefined);
+    this.onChange?.(initial, null);
+  }
+
+  /**
+   * True if the machine is in any of the given states
+   * @param {...string} names
+   */
+  is(...names) {
+    return names.includes(this.state);
+  }
+
+  /**
+   * True if transition(name) would currently succeed
+   */
+  can(name, data) {
+    const target = this.states[name];
+    if (!target) return false;
+    if (!this.states[this.state].to?.includes(name)) return false;
+    return target.guard?.(this.state, data) ?? true;
+  }
+
+  /**
+   * Moves to another state if allowed
+   * @param {string} name - Target state
+   * @param {*} data - Passed to guard/exit/enter (e.g. a jump direction)
+   * @returns {boolean} Whether the transition happened
+   */
+  transition(name, data) {
+    if (!this.can(name, data)) return false;
+
+    const from = this.state;
+    this.states[from].exit?.(name, data);
+    this.state = name;
+    this.states[name].enter?.(from, data);
+    this.onChange?.(name, from);
+
+    return true;
+  }
+}
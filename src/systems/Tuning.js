@@ -0,0 +1,255 @@
+/**
+ * Live Tuning
+ *
+ * Reads and writes CRT_CONFIG / RABBIT_CONFIG values at runtime and
+ * re-applies them, so effects can be dialed in without editing source
+ * and reloading - like tweaking a material in the Inspector during Play
+ * mode. The tuning panel and the `crt` command both go through here.
+ *
+ * CRT values go into the saved-overrides layer of config/crt.js, so they
+ * are validated and outlast a reload (Reset clears them). URL params and
+ * reduced motion still rank above them. Rabbit glow values are written
+ * into RABBIT_CONFIG itself and last until the reload.
+ *
+ * Which values are tunable, and the built-in presets: config/tuning.js
+ */
+
+import {
+  getActiveConfig,
+  getTunedConfig,
+  getLockedPaths,
+  getSavedOverrides,
+  setSavedOverrides,
+  refreshCRTEffects,
+} from '../config/crt.js';
+import { RABBIT_CONFIG } from '../config/animations.js';
+import { TUNING_CONFIG } from '../config/tuning.js';
+import { Rabbit } from '../components/Rabbit.js';
+import { expand } from '../utils/config.js';
+
+// Section name -> the config its keys are read from
+const SOURCES = {
+  crt: () => getActiveConfig(),
+  rabbit: () => RABBIT_CONFIG,
+};
+
+export class Tuning {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.screenElement - #crt-screen (flicker target)
+   * @param {Scene} options.scene - For refreshing rabbit glow
+   * @param {string} options.storageKey - Where saved presets live
+   */
+  constructor({ screenElement, scene = null, storageKey = TUNING_CONFIG.storageKey }) {
+    this.screen = screenElement;
+    this.scene = scene;
+    this.storageKey = storageKey;
+
+    this.rabbitDefaults = this.values().rabbit;  // As shipped, for reset and presets
+    this.savedPresets = this.load();  // name -> values
+    this.listeners = new Set();
+  }
+
+  /**
+   * Every tunable value, grouped by section
+   * @returns {{ crt: Object, rabbit: Object }} section -> { key: value }
+   */
+  values() {
+    return Object.fromEntries(
+      Object.entries(TUNING_CONFIG.sections).map(([section, { fields }]) => [
+        section,
+        Object.fromEntries(fields.map(({ key }) => [key, this.get(section, key)])),
+      ])
+    );
+  }
+
+  /**
+   * @param {string} section - 'crt' or 'rabbit'
+   * @param {string} key - Path, e.g. 'webgl.curvature'
+   */
+  get(section, key) {
+    return readPath(SOURCES[section](), key);
+  }
+
+  /**
+   * True if a URL param or reduced motion outranks the tuned value -
+   * changing it now wouldn't show (rabbit values are never locked)
+   */
+  isLocked(section, key) {
+    return section === 'crt' && getLockedPaths().has(key);
+  }
+
+  /**
+   * Sets one value and applies it right away
+   */
+  set(section, key, value) {
+    this.write(section, key, value);
+    this.apply();
+  }
+
+  /**
+   * Sets many values at once - { section: { key: value } }, missing ones untouched
+   */
+  setAll(values) {
+    for (const [section, entries] of Object.entries(values)) {
+      for (const [key, value] of Object.entries(entries)) {
+        this.write(section, key, value);
+      }
+    }
+    this.apply();
+  }
+
+  write(section, key, value) {
+    const field = TUNING_CONFIG.sections[section]?.fields.find(f => f.key === key);
+    if (!field) return;
+
+    if (section === 'crt') {
+      // Validated (and reported) by the config layer
+      setSavedOverrides({ ...getSavedOverrides(), [key]: value });
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      RABBIT_CONFIG[key] = value;
+    }
+  }
+
+  /**
+   * Pushes the current values to everything that uses them
+   */
+  apply() {
+    refreshCRTEffects(this.screen);
+
+    for (const rabbit of this.scene?.findAll(Rabbit) ?? []) {
+      rabbit.updateGlowFromStoredPosition();
+    }
+
+    for (const listener of this.listeners) {
+      listener();
+    }
+  }
+
+  /**
+   * Calls listener whenever values change (e.g. the panel's sliders)
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Back to the values in source (clears the saved CRT overrides)
+   */
+  reset() {
+    setSavedOverrides({});
+    this.setAll({ rabbit: this.rabbitDefaults });
+  }
+
+  // ============================================
+  // Presets
+  // ============================================
+
+  /**
+   * Built-in presets first, then saved ones
+   * @returns {{ name: string, builtIn: boolean }[]}
+   */
+  listPresets() {
+    return [
+      ...Object.keys(TUNING_CONFIG.presets).map(name => ({ name, builtIn: true })),
+      ...Object.keys(this.savedPresets)
+        .filter(name => !TUNING_CONFIG.presets[name])
+        .map(name => ({ name, builtIn: false })),
+    ];
+  }
+
+  /**
+   * Applies a preset on top of the defaults (so presets don't stack)
+   * @returns {boolean} false if there's no preset with that name
+   */
+  applyPreset(name) {
+    const preset = TUNING_CONFIG.presets[name] ?? this.savedPresets[name];
+    if (!preset) return false;
+
+    setSavedOverrides({});
+    this.setAll({
+      crt: preset.crt ?? {},
+      rabbit: { ...this.rabbitDefaults, ...preset.rabbit },
+    });
+    return true;
+  }
+
+  /**
+   * Saves the current tuning under a name (built-in names are taken):
+   * the CRT overrides and all rabbit glow values
+   * @returns {boolean} false if the name is empty or built in
+   */
+  savePreset(name) {
+    const key = name.trim().toLowerCase();
+    if (!key || TUNING_CONFIG.presets[key]) return false;
+
+    this.savedPresets[key] = { crt: getSavedOverrides(), rabbit: this.values().rabbit };
+    this.save();
+    this.apply();  // Listeners refresh their preset lists
+    return true;
+  }
+
+  /**
+   * @returns {boolean} false if there's no saved preset with that name
+   */
+  deletePreset(name) {
+    if (!this.savedPresets[name]) return false;
+
+    delete this.savedPresets[name];
+    this.save();
+    this.apply();
+    return true;
+  }
+
+  /**
+   * Current values as JSON shaped like the config objects, ready to
+   * paste back into config/crt.js and config/animations.js
+   * CRT values are the defaults plus the saved overrides - not what's in
+   * effect, which also depends on the device, URL and reduced motion.
+   */
+  exportJSON() {
+    const tuned = getTunedConfig();
+    const crt = Object.fromEntries(
+      TUNING_CONFIG.sections.crt.fields.map(({ key }) => [key, readPath(tuned, key)])
+    );
+    const { rabbit } = this.values();
+    return JSON.stringify({
+      CRT_CONFIG: expand(crt),
+      RABBIT_CONFIG: expand(rabbit),
+    }, null, 2);
+  }
+
+  /**
+   * Reads saved presets from localStorage
+   * Storage can throw (private mode, disabled cookies) - presets just won't persist
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+      console.warn('Could not load CRT presets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Writes saved presets to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.savedPresets));
+    } catch (error) {
+      console.warn('Could not save CRT presets:', error);
+    }
+  }
+}
+
+/**
+ * Value at a dotted path ('webgl.curvature')
+ */
+function readPath(object, path) {
+  return path.split('.').reduce((value, part) => value?.[part], object);
+}
@@ -0,0 +1,102 @@
+/**
+ * Viewport
+ *
+ * Re-lays out the page when the window resizes, the device rotates or the
+ * on-screen keyboard opens - like handling Screen.width/height changes in
+ * Unity instead of assuming the resolution from the first frame:
+ *
+ * - CRT effects: re-applied when the size crosses the mobile breakpoint,
+ *   so the device profile in config/crt.js follows (isMobile())
+ * - Sprites: put back inside the viewport - on the floor if they stood
+ *   there, pulled in from the walls (Scene.relayout)
+ * - Terminal: the active line re-anchored in the visible area (Terminal.reflow)
+ *
+ * Resize events come in bursts (dragging a window edge, rotation
+ * animations), so the layout runs once they settle.
+ *
+ * The WebGL CRT pass sizes its own canvas (systems/CRTRenderer.js).
+ */
+
+import { VIEWPORT_CONFIG } from '../config/animations.js';
+import { isMobile, refreshCRTEffects } from '../config/crt.js';
+
+export class Viewport {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.screenElement - #crt-screen (CRT effects target)
+   * @param {Scene} options.scene - Sprites to keep on screen
+   * @param {Terminal} options.terminal - Terminal to reflow
+   * @param {number} options.settleDelay - ms without events before laying out
+   */
+  constructor({ screenElement, scene = null, terminal = null, settleDelay = VIEWPORT_CONFIG.settleDelay }) {
+    this.screen = screenElement;
+    this.scene = scene;
+    this.terminal = terminal;
+    this.settleDelay = settleDelay;
+
+    this.wasMobile = isMobile();
+    this.timer = null;
+
+    this.resizeHandler = () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.update(), this.settleDelay);
+    };
+  }
+
+  /**
+   * Starts listening, and lays out once for the current size
+   */
+  enable() {
+    window.addEventListener('resize', this.resizeHandler);
+    // Not every browser fires resize after a rotation
+    if (screen.orientation) {
+      screen.orientation.addEventListener('change', this.resizeHandler);
+    } else {
+      window.addEventListener('orientationchange', this.resizeHandler);
+    }
+    // The on-screen keyboard only resizes the visual viewport
+    window.visualViewport?.addEventListener('resize', this.resizeHandler);
+
+    this.update();
+  }
+
+  disable() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    window.removeEventListener('resize', this.resizeHandler);
+    screen.orientation?.removeEventListener('change', this.resizeHandler);
+    window.removeEventListener('orientationchange', this.resizeHandler);
+    window.visualViewport?.removeEventListener('resize', this.resizeHandler);
+  }
+
+  /**
+   * The part of the page on screen, in viewport px
+   * Pinch-zoomed, the layout viewport is used (re-anchoring to the zoomed
+   * area would move the text away from under the visitor's fingers).
+   * @returns {{ top: number, width: number, height: number }}
+   */
+  getVisibleArea() {
+    const visual = window.visualViewport;
+    if (visual && visual.scale === 1) {
+      return { top: visual.offsetTop, width: visual.width, height: visual.height };
+    }
+    return { top: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  /**
+   * Lays everything out for the current size (see module comment)
+   */
+  update() {
+    this.timer = null;
+
+    const mobile = isMobile();
+    if (mobile !== this.wasMobile) {
+      this.wasMobile = mobile;
+      refreshCRTEffects(this.screen);
+    }
+
+    const visible = this.getVisibleArea();
+    this.terminal?.reflow(visible);
+    this.scene?.relayout();
+  }
+}
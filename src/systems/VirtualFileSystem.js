@@ -0,0 +1,131 @@
+/**
+ * Virtual Filesystem
+ *
+ * In-memory directory tree for the portfolio content, browsed with
+ * cd/ls/pwd/cat/tree. The root is shown as "~" (the visitor's home).
+ *
+ * Nodes are plain objects:
+ *   dir:  { type: 'dir',  name, parent, children: Map<name, node> }
+ *   file: { type: 'file', name, parent, body, meta }
+ */
+
+import { CommandError } from '../utils/errors.js';
+import { t } from '../i18n/index.js';
+
+export class VirtualFileSystem {
+  /**
+   * @param {Object} files - { 'relative/path.md': { meta, body } }
+   */
+  constructor(files = {}) {
+    this.root = createDir('', null);
+    this.cwd = this.root;
+
+    for (const [path, { meta, body }] of Object.entries(files)) {
+      this.addFile(path, body, meta);
+    }
+  }
+
+  /**
+   * Adds a file, creating any missing parent directories
+   * @param {string} path - Path relative to root ("projects/shaders.md")
+   */
+  addFile(path, body = '', meta = {}) {
+    const parts = splitPath(path);
+    const fileName = parts.pop();
+    let dir = this.root;
+
+    for (const part of parts) {
+      if (!dir.children.has(part)) {
+        dir.children.set(part, createDir(part, dir));
+      }
+      dir = dir.children.get(part);
+    }
+
+    dir.children.set(fileName, { type: 'file', name: fileName, parent: dir, body, meta });
+  }
+
+  /**
+   * Resolves a path to a node
+   * Supports "~", "/", ".", ".." and relative paths
+   * @returns {Object|null} Node, or null if it doesn't exist
+   */
+  resolve(path = '.') {
+    let node = path.startsWith('/') || path.startsWith('~') ? this.root : this.cwd;
+
+    for (const part of splitPath(path.replace(/^~/, ''))) {
+      if (part === '.') continue;
+
+      if (part === '..') {
+        node = node.parent ?? node;  // ".." at root stays at root
+        continue;
+      }
+
+      if (node.type !== 'dir' || !node.children.has(part)) return null;
+      node = node.children.get(part);
+    }
+
+    return node;
+  }
+
+  /**
+   * Changes the current directory
+   * @throws {CommandError} If the path is missing or not a directory
+   */
+  cd(path = '~') {
+    const node = this.resolve(path);
+    if (!node) throw new CommandError(t('fs.notFound', { path }));
+    if (node.type !== 'dir') throw new CommandError(t('fs.notDirectory', { path }));
+    this.cwd = node;
+  }
+
+  /**
+   * Lists a directory's children, directories first, then by name
+   * @throws {CommandError} If the path is missing
+   * @returns {Object[]} Nodes
+   */
+  list(path = '.') {
+    const node = this.resolve(path);
+    if (!node) throw new CommandError(t('fs.notFound', { path }));
+    if (node.type === 'file') return [node];
+
+    return [...node.children.values()].sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'dir' ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Reads a file
+   * @throws {CommandError} If the path is missing or a directory
+   * @returns {Object} File node ({ body, meta, ... })
+   */
+  read(path) {
+    const node = this.resolve(path);
+    if (!node) throw new CommandError(t('fs.notFound', { path }));
+    if (node.type === 'dir') throw new CommandError(t('fs.isDirectory', { path }));
+    return node;
+  }
+
+  /**
+   * Returns the display path of a node ("~", "~/projects", ...)
+   */
+  pathOf(node = this.cwd) {
+    const parts = [];
+    for (let n = node; n && n !== this.root; n = n.parent) {
+      parts.unshift(n.name);
+    }
+    return ['~', ...parts].join('/');
+  }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function createDir(name, parent) {
+  return { type: 'dir', name, parent, children: new Map() };
+}
+
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
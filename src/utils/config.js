@@ -0,0 +1,110 @@
+/**
+ * Config Validation Helpers
+ *
+ * Layered configs (see config/crt.js) are handled as flat maps of
+ * dotted paths -> values ("webgl.curvature" -> 0.08), checked against a
+ * schema of the same paths:
+ *
+ *   {
+ *     scanlineOpacity: { min: 0, max: 1 },        // number (the default type)
+ *     'webgl.captureFps': { min: 1, max: 60, integer: true },
+ *     'webgl.enabled': { type: 'boolean' },
+ *     glowColor: { type: 'string' },
+ *   }
+ *
+ * Bad values never reach the effects: unknown keys and wrong types are
+ * dropped (the layer below shows through), numbers out of range are
+ * clamped. Every fix is reported with console.warn, naming the layer it
+ * came from, so a typo in a URL or in source is easy to track down.
+ */
+
+/**
+ * Validates a flat map against a schema
+ * @param {Object} values - path -> value
+ * @param {Object} schema - path -> rule (see module comment)
+ * @param {string} source - Named in reports, e.g. "CRT_CONFIG (URL)"
+ * @returns {Object} Valid (possibly clamped) path -> value
+ */
+export function validateValues(values, schema, source) {
+  const valid = {};
+
+  for (const [path, value] of Object.entries(values)) {
+    const rule = schema[path];
+    if (!rule) {
+      console.warn(`${source}: unknown setting "${path}" ignored`);
+      continue;
+    }
+
+    const checked = validateValue(value, rule);
+    if (checked.error) {
+      console.warn(`${source}: ${path} = ${JSON.stringify(value)} ${checked.error}, ignored`);
+      continue;
+    }
+    if (checked.value !== value) {
+      console.warn(`${source}: ${path} = ${value} is out of range (${rule.min} to ${rule.max}), using ${checked.value}`);
+    }
+    valid[path] = checked.value;
+  }
+
+  return valid;
+}
+
+/**
+ * Checks one value against its rule
+ * @returns {{ value: *, error?: string }}
+ */
+function validateValue(value, { type = 'number', min = -Infinity, max = Infinity, integer = false }) {
+  if (type !== 'number') {
+    return typeof value === type ? { value } : { value, error: `is not a ${type}` };
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { value, error: 'is not a number' };
+  }
+
+  const rounded = integer ? Math.round(value) : value;
+  return { value: Math.min(Math.max(rounded, min), max) };
+}
+
+/**
+ * Parses a text value (URL param) into the rule's type
+ * @returns {*} Parsed value - left as the text if it doesn't parse,
+ *   so validateValues() reports it
+ */
+export function parseValue(text, { type = 'number' } = {}) {
+  if (type === 'number') {
+    const number = Number(text);
+    return text.trim() !== '' && Number.isFinite(number) ? number : text;
+  }
+  if (type === 'boolean') {
+    if (['true', '1', 'on'].includes(text)) return true;
+    if (['false', '0', 'off'].includes(text)) return false;
+  }
+  return text;
+}
+
+/**
+ * Nested object -> flat map of the schema's paths (others are left out)
+ */
+export function flatten(object, schema) {
+  const flat = {};
+  for (const path of Object.keys(schema)) {
+    const value = path.split('.').reduce((o, part) => o?.[part], object);
+    if (value !== undefined) flat[path] = value;
+  }
+  return flat;
+}
+
+/**
+ * Flat map -> nested object ({ 'webgl.curvature': 1 } -> { webgl: { curvature: 1 } })
+ */
+export function expand(flat) {
+  const object = {};
+  for (const [path, value] of Object.entries(flat)) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((o, part) => (o[part] ??= {}), object);
+    parent[last] = value;
+  }
+  return object;
+}
@@ -0,0 +1,14 @@
+/**
+ * Error Types
+ *
+ * CommandError is for failures the visitor caused - a typo, a bad
+ * argument, a missing file. CommandRegistry prints its message in red
+ * and leaves the console alone; any other error is a bug and is logged.
+ */
+
+export class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Terminal Output Formatting
+ *
+ * Command output is plain strings with ANSI escape codes, the same way
+ * a real terminal does it:
+ *   - SGR codes for color/bold:   "\x1b[32m" green, "\x1b[1m" bold, "\x1b[0m" reset
+ *   - OSC 8 for hyperlinks:       "\x1b]8;;https://...\x1b\\" text "\x1b]8;;\x1b\\"
+ *
+ * Terminal.type() parses these into styled spans/links while typing,
+ * so rich output keeps the natural typing rhythm.
+ *
+ * Images can't be typed, so they are block objects: { type: 'image', ... }
+ * Use the helpers below instead of writing escape codes by hand.
+ */
+
+const ESC = '\x1b';
+
+// SGR color codes: 30-37 foreground, 40-47 background, +60 for bright
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// Matches one SGR sequence or one OSC 8 hyperlink sequence
+const ESCAPE_PATTERN = /\x1b\[([\d;]*)m|\x1b\]8;[^;]*;([^\x1b]*)\x1b\\/g;
+
+// ============================================
+// Helpers (build escape-coded strings)
+// ============================================
+
+/**
+ * Colors text ("red", "green", "bright-cyan", ...)
+ */
+export function color(text, name) {
+  const bright = name.startsWith('bright-');
+  const index = COLOR_NAMES.indexOf(name.replace('bright-', ''));
+  if (index === -1) return text;
+
+  return `${ESC}[${(bright ? 90 : 30) + index}m${text}${ESC}[39m`;
+}
+
+/**
+ * Bold text
+ */
+export function bold(text) {
+  return `${ESC}[1m${text}${ESC}[22m`;
+}
+
+/**
+ * Dim text
+ */
+export function dim(text) {
+  return `${ESC}[2m${text}${ESC}[22m`;
+}
+
+/**
+ * Clickable hyperlink (opens in a new tab)
+ */
+export function link(text, url) {
+  return `${ESC}]8;;${url}${ESC}\\${text}${ESC}]8;;${ESC}\\`;
+}
+
+/**
+ * Inline image block (e.g. a project thumbnail)
+ * @param {string} src - Image URL
+ * @param {string} alt - Alt text (also read by screen readers)
+ * @param {Object} options
+ * @param {string} options.href - Makes the image a link
+ */
+export function image(src, alt = '', { href = null } = {}) {
+  return { type: 'image', src, alt, href };
+}
+
+/**
+ * Aligns rows into columns
+ * Widths ignore escape codes, so colored/linked cells line up too.
+ * @param {string[][]} rows
+ * @param {Object} options
+ * @param {string[]} options.header - Bold header row with an underline
+ * @param {number} options.gap - Spaces between columns
+ * @returns {string[]} One string per line
+ */
+export function table(rows, { header = null, gap = 2 } = {}) {
+  const allRows = header ? [header, ...rows] : rows;
+  const columnCount = Math.max(0, ...allRows.map(row => row.length));
+  const widths = [];
+
+  for (let col = 0; col < columnCount; col++) {
+    widths[col] = Math.max(...allRows.map(row => visibleLength(row[col] ?? '')));
+  }
+
+  const formatRow = (row) => row
+    .map((cell, col) => {
+      // Last column isn't padded - avoids trailing spaces
+      if (col === row.length - 1) return cell;
+      return cell + ' '.repeat(widths[col] - visibleLength(cell) + gap);
+    })
+    .join('');
+
+  const lines = rows.map(formatRow);
+
+  if (header) {
+    const underline = widths.map(w => '─'.repeat(w)).join(' '.repeat(gap));
+    lines.unshift(bold(formatRow(header)), dim(underline));
+  }
+
+  return lines;
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Removes all escape codes
+ */
+export function stripAnsi(text) {
+  return text.replace(ESCAPE_PATTERN, '');
+}
+
+/**
+ * Length of text as displayed (escape codes don't count)
+ */
+export function visibleLength(text) {
+  return stripAnsi(text).length;
+}
+
+/**
+ * Splits text into runs with the same style
+ * @param {string} text
+ * @returns {{ text: string, classes: string[], href: string|null }[]}
+ */
+export function parseAnsi(text) {
+  const segments = [];
+  const style = { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false };
+  let href = null;
+  let lastIndex = 0;
+
+  const pushText = (chunk) => {
+    if (chunk) segments.push({ text: chunk, classes: styleToClasses(style), href });
+  };
+
+  for (const match of text.matchAll(ESCAPE_PATTERN)) {
+    pushText(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (match[2] !== undefined) {
+      // OSC 8: empty URL closes the link
+      href = match[2] && isSafeUrl(match[2]) ? match[2] : null;
+    } else {
+      applySgr(style, match[1]);
+    }
+  }
+  pushText(text.slice(lastIndex));
+
+  return segments;
+}
+
+/**
+ * Updates style from an SGR parameter list ("1;32")
+ */
+function applySgr(style, params) {
+  const codes = params === '' ? [0] : params.split(';').map(Number);
+
+  for (const code of codes) {
+    if (code === 0) {
+      Object.assign(style, { fg: null, bg: null, bold: false, dim: false, italic: false, underline: false });
+    } else if (code === 1) style.bold = true;
+    else if (code === 2) style.dim = true;
+    else if (code === 3) style.italic = true;
+    else if (code === 4) style.underline = true;
+    else if (code === 22) style.bold = style.dim = false;
+    else if (code === 23) style.italic = false;
+    else if (code === 24) style.underline = false;
+    else if (code >= 30 && code <= 37) style.fg = COLOR_NAMES[code - 30];
+    else if (code >= 90 && code <= 97) style.fg = `bright-${COLOR_NAMES[code - 90]}`;
+    else if (code === 39) style.fg = null;
+    else if (code >= 40 && code <= 47) style.bg = COLOR_NAMES[code - 40];
+    else if (code === 49) style.bg = null;
+  }
+}
+
+/**
+ * Maps style state to CSS classes (see "Rich Output" in style.css)
+ */
+function styleToClasses(style) {
+  const classes = [];
+  if (style.fg) classes.push(`ansi-${style.fg}`);
+  if (style.bg) classes.push(`ansi-bg-${style.bg}`);
+  if (style.bold) classes.push('ansi-bold');
+  if (style.dim) classes.push('ansi-dim');
+  if (style.italic) classes.push('ansi-italic');
+  if (style.underline) classes.push('ansi-underline');
+  return classes;
+}
+
+/**
+ * Only allow web/mail links and site-relative paths (no javascript: URLs)
+ * A path can't start with // or /\ - browsers read those as another host.
+ */
+function isSafeUrl(url) {
+  return /^(https?:|mailto:|\/(?![/\\])|#)/i.test(url);
+}
@@ -0,0 +1,22 @@
+/**
+ * Timing Utilities
+ *
+ * Small async helpers shared by the terminal and systems.
+ */
+
+/**
+ * Returns base ± a random fraction of itself
+ * @param {number} base - Base delay in ms
+ * @param {number} varianceAmount - 0.33 = up to ±33%
+ */
+export function getRandomDelay(base, varianceAmount) {
+  const randomFactor = 1 + (Math.random() - 0.5) * 2 * varianceAmount;
+  return Math.floor(base * randomFactor);
+}
+
+/**
+ * Waits for ms milliseconds (like yield return new WaitForSeconds in Unity)
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,4 +1,5 @@
 import { defineConfig } from 'vite'
+import { prerender } from './build/prerender.js'
 
 export default defineConfig({
   // Base path for GitHub Pages deployment
@@ -14,4 +15,8 @@ export default defineConfig({
   build: {
     outDir: 'dist',
   },
+
+  // Per-project pages with their own preview tags, and a text version
+  // of the terminal for crawlers and no-JS visitors
+  plugins: [prerender()],
 })